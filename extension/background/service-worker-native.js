@@ -1,12 +1,173 @@
 // Browser Pilot - Background Service Worker with Native Messaging
 // Handles console log collection via Chrome debugger API and communicates via Native Messaging
 
+// Network throttling presets, matching Chrome DevTools (throughput in bytes/sec, latency in ms)
+const NETWORK_CONDITION_PRESETS = {
+  none: { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 },
+  slow_3g: { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  fast_3g: { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  offline: { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 }
+};
+
+// Connections that can stay open indefinitely never count as in flight for wait_for_network idle mode
+const LONG_LIVED_RESOURCE_TYPES = new Set(['EventSource', 'WebSocket']);
+// Responses still streaming this long after their headers arrived (long-polls, streaming fetches) stop counting too
+const STREAMING_RESPONSE_CUTOFF = 5000;
+
+// US keyboard layout for trusted typing: character -> [code, keyCode, needs Shift]
+const PUNCTUATION_KEYS = {
+  ' ': ['Space', 32, false], '-': ['Minus', 189, false], '=': ['Equal', 187, false],
+  '[': ['BracketLeft', 219, false], ']': ['BracketRight', 221, false], '\\': ['Backslash', 220, false],
+  ';': ['Semicolon', 186, false], "'": ['Quote', 222, false], ',': ['Comma', 188, false],
+  '.': ['Period', 190, false], '/': ['Slash', 191, false], '`': ['Backquote', 192, false],
+  '!': ['Digit1', 49, true], '@': ['Digit2', 50, true], '#': ['Digit3', 51, true],
+  '$': ['Digit4', 52, true], '%': ['Digit5', 53, true], '^': ['Digit6', 54, true],
+  '&': ['Digit7', 55, true], '*': ['Digit8', 56, true], '(': ['Digit9', 57, true],
+  ')': ['Digit0', 48, true], '_': ['Minus', 189, true], '+': ['Equal', 187, true],
+  '{': ['BracketLeft', 219, true], '}': ['BracketRight', 221, true], '|': ['Backslash', 220, true],
+  ':': ['Semicolon', 186, true], '"': ['Quote', 222, true], '<': ['Comma', 188, true],
+  '>': ['Period', 190, true], '?': ['Slash', 191, true], '~': ['Backquote', 192, true]
+};
+
+// CDP modifier bit flags, also the modifier keys press_keys accepts
+const MODIFIER_FLAGS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+// Named keys for press_keys: key -> [code, keyCode, text]
+const NAMED_KEYS = {
+  Enter: ['Enter', 13, '\r'], Tab: ['Tab', 9], Escape: ['Escape', 27], Backspace: ['Backspace', 8],
+  Delete: ['Delete', 46], Insert: ['Insert', 45], ' ': ['Space', 32, ' '],
+  ArrowUp: ['ArrowUp', 38], ArrowDown: ['ArrowDown', 40], ArrowLeft: ['ArrowLeft', 37], ArrowRight: ['ArrowRight', 39],
+  Home: ['Home', 36], End: ['End', 35], PageUp: ['PageUp', 33], PageDown: ['PageDown', 34],
+  Alt: ['AltLeft', 18], Control: ['ControlLeft', 17], Meta: ['MetaLeft', 91], Shift: ['ShiftLeft', 16],
+  CapsLock: ['CapsLock', 20], ContextMenu: ['ContextMenu', 93],
+  ...Object.fromEntries(Array.from({ length: 12 }, (unused, index) => [`F${index + 1}`, [`F${index + 1}`, 112 + index]]))
+};
+
+// Lower-case spellings accepted for named keys
+const KEY_ALIASES = {
+  ctrl: 'Control', control: 'Control', cmd: 'Meta', command: 'Meta', meta: 'Meta', win: 'Meta', super: 'Meta',
+  alt: 'Alt', option: 'Alt', opt: 'Alt', shift: 'Shift', esc: 'Escape', escape: 'Escape', return: 'Enter',
+  enter: 'Enter', tab: 'Tab', backspace: 'Backspace', del: 'Delete', delete: 'Delete', ins: 'Insert',
+  insert: 'Insert', space: ' ', spacebar: ' ', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft',
+  right: 'ArrowRight', arrowup: 'ArrowUp', arrowdown: 'ArrowDown', arrowleft: 'ArrowLeft',
+  arrowright: 'ArrowRight', home: 'Home', end: 'End', pageup: 'PageUp', pgup: 'PageUp',
+  pagedown: 'PageDown', pgdn: 'PageDown', capslock: 'CapsLock', contextmenu: 'ContextMenu', menu: 'ContextMenu'
+};
+
+// Named keys match case-insensitively, so "f5" works like "F5"
+const NAMED_KEYS_BY_LOWER_CASE = Object.fromEntries(Object.keys(NAMED_KEYS).map(name => [name.toLowerCase(), name]));
+
+// Chrome does not run editing shortcuts for synthesised key events on macOS, so they are sent as commands
+const MAC_EDITING_COMMANDS = {
+  'meta+a': 'selectAll', 'meta+c': 'copy', 'meta+x': 'cut', 'meta+v': 'paste',
+  'meta+z': 'undo', 'shift+meta+z': 'redo'
+};
+
+// Key event fields for a typed character, or null when it has no key on the layout (typed via Input.insertText)
+function getCharacterKeyDefinition(character) {
+  if (/^[a-zA-Z]$/.test(character)) {
+    const upper = character.toUpperCase();
+    return { key: character, code: `Key${upper}`, keyCode: upper.charCodeAt(0), text: character, modifiers: character === upper ? MODIFIER_FLAGS.Shift : 0 };
+  }
+  if (/^[0-9]$/.test(character)) {
+    return { key: character, code: `Digit${character}`, keyCode: character.charCodeAt(0), text: character, modifiers: 0 };
+  }
+  if (character === '\n' || character === '\r') {
+    return { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r', modifiers: 0 };
+  }
+  if (character === '\t') {
+    return { key: 'Tab', code: 'Tab', keyCode: 9, modifiers: 0 };
+  }
+  const punctuation = PUNCTUATION_KEYS[character];
+  if (punctuation) {
+    const [code, keyCode, shifted] = punctuation;
+    return { key: character, code, keyCode, text: character, modifiers: shifted ? MODIFIER_FLAGS.Shift : 0 };
+  }
+  return null;
+}
+
+// Parse a chord such as "Ctrl+Shift+K", "Meta++" or "ArrowDown" into its modifiers and main key
+function parseKeyChord(chord) {
+  // A trailing "++" (or "+ +") is the plus key itself
+  const plusKeyPattern = /\+\s*\+\s*$/;
+  const parts = chord.length > 1 && plusKeyPattern.test(chord)
+    ? [...chord.replace(plusKeyPattern, '').split('+'), '+']
+    : (chord.length === 1 ? [chord] : chord.split('+'));
+  
+  const names = parts.map(rawPart => {
+    // Spaces around "+" are ignored, but a lone space is the Space key
+    const part = rawPart.trim() || rawPart;
+    if (part.length === 1) {
+      return part;
+    }
+    const lowerCase = part.toLowerCase();
+    const name = KEY_ALIASES[lowerCase] || NAMED_KEYS_BY_LOWER_CASE[lowerCase] || part;
+    if (!NAMED_KEYS[name]) {
+      throw new Error(`Unknown key "${part}" in "${chord}". Use names such as Enter, Escape, Tab, ArrowDown, F5, or single characters.`);
+    }
+    return name;
+  });
+  
+  const mainKey = names.pop();
+  names.forEach(name => {
+    if (!MODIFIER_FLAGS[name]) {
+      throw new Error(`"${name}" in "${chord}" is not a modifier. Only Alt, Control, Meta and Shift can be combined with another key.`);
+    }
+  });
+  // Canonical order, so "Shift+Ctrl+Tab" and "Ctrl+Shift+Tab" are the same chord
+  const modifiers = ['Control', 'Alt', 'Shift', 'Meta'].filter(name => names.includes(name));
+  const flags = modifiers.reduce((total, name) => total | MODIFIER_FLAGS[name], 0);
+  
+  let definition;
+  if (NAMED_KEYS[mainKey]) {
+    const [code, keyCode, text] = NAMED_KEYS[mainKey];
+    definition = { key: mainKey, code, keyCode, text };
+  } else {
+    // Letters follow Shift rather than the case they were written in, as on a real keyboard
+    const character = /^[a-zA-Z]$/.test(mainKey) ? (flags & MODIFIER_FLAGS.Shift ? mainKey.toUpperCase() : mainKey.toLowerCase()) : mainKey;
+    definition = getCharacterKeyDefinition(character);
+    if (!definition) {
+      throw new Error(`Key "${mainKey}" in "${chord}" is not on the keyboard layout. Use type_text to enter it.`);
+    }
+  }
+  
+  // Shortcuts with Control, Alt or Meta do not insert text
+  if (flags & (MODIFIER_FLAGS.Control | MODIFIER_FLAGS.Alt | MODIFIER_FLAGS.Meta)) {
+    delete definition.text;
+  }
+  
+  const keyLabel = definition.key === ' ' ? 'Space' : (/^[a-z]$/i.test(definition.key) ? definition.key.toUpperCase() : definition.key);
+  const label = [...modifiers, keyLabel].join('+');
+  return { modifiers, definition: { ...definition, modifiers: flags | (definition.modifiers || 0) }, label };
+}
+
 class ConsoleLogCollector {
   constructor() {
     this.logs = [];
     this.maxLogs = 1000;
     this.attachedTabs = new Set();
     this.pendingNetworkRequests = new Map(); // requestId -> request data
+    this.earlyExtraInfo = new Map(); // requestId -> { tabId, requestHeaders, responseHeaders } seen before requestWillBeSent
+    this.maxEarlyExtraInfo = 200;
+    this.networkRequests = new Map(); // tabId -> captured requests (most recent first)
+    this.maxNetworkRequests = 500;
+    this.networkRoutes = new Map(); // tabId -> mocked/intercepted routes
+    this.capturedResourceTypes = new Map(); // tabId -> Set of CDP resource types (all types if unset)
+    this.webSockets = new Map(); // tabId -> Map(requestId -> WebSocket connection with frames)
+    this.maxWebSocketFrames = 200; // per connection
+    this.maxWebSocketPayload = 4000; // characters kept per frame
+    this.eventStreamMessages = new Map(); // tabId -> EventSource messages (most recent last)
+    this.maxEventStreamMessages = 500; // per tab
+    this.maxEventStreamPayload = 100000; // characters kept per message, enough for typical JSON events
+    this.networkConditions = new Map(); // tabId -> { preset, conditions, blockedUrls }
+    this.lastNetworkActivity = new Map(); // tabId -> timestamp of last network event
+    this.inFlightRequests = new Map(); // tabId -> Map(requestId -> request summary), for every resource type
+    this.requestHeaderOverrides = new Map(); // tabId -> { headers, origins, userAgent, persist }
+    this.fetchInterceptionTabs = new Set(); // tabs with Fetch.enable active
+    this.openedTabs = []; // tabs created while the extension is running (most recent last)
+    this.accessibilityRefs = new Map(); // tabId -> Map(ref -> backendDOMNodeId) from the last accessibility snapshot
+    this.maxOpenedTabs = 50;
+    this.mousePositions = new Map(); // tabId -> last trusted mouse position, where the next move starts
     
     // Native messaging connection
     this.nativePort = null;
@@ -305,6 +466,30 @@ class ConsoleLogCollector {
         case 'get_current_url':
           result = await this.getCurrentUrl(params);
           break;
+        case 'go_back':
+          result = await this.navigateHistory('back', params, commandId);
+          break;
+        case 'go_forward':
+          result = await this.navigateHistory('forward', params, commandId);
+          break;
+        case 'reload_page':
+          result = await this.navigateHistory('reload', params, commandId);
+          break;
+        case 'list_tabs':
+          result = await this.listTabs(params);
+          break;
+        case 'open_tab':
+          result = await this.openTab(params);
+          break;
+        case 'close_tab':
+          result = await this.closeTab(params);
+          break;
+        case 'activate_tab':
+          result = await this.activateTab(params);
+          break;
+        case 'duplicate_tab':
+          result = await this.duplicateTab(params);
+          break;
         case 'get_local_storage':
           result = await this.getLocalStorage(params);
           break;
@@ -317,6 +502,18 @@ class ConsoleLogCollector {
         case 'get_dom_snapshot':
           result = await this.getDomSnapshot(params);
           break;
+        case 'extract_page_content':
+          result = await this.extractPageContent(params);
+          break;
+        case 'extract_structured':
+          result = await this.extractStructured(params);
+          break;
+        case 'list_frames':
+          result = await this.listFrames(params);
+          break;
+        case 'get_accessibility_snapshot':
+          result = await this.getAccessibilitySnapshot(params);
+          break;
         case 'take_screenshot':
           result = await this.takeScreenshot(params);
           break;
@@ -328,6 +525,36 @@ class ConsoleLogCollector {
         case 'type_text_in_element':
           result = await this.typeTextInElement(params);
           break;
+        case 'press_keys':
+          result = await this.pressKeys(params);
+          break;
+        case 'hover_element':
+          result = await this.performMouseAction('hover', params);
+          break;
+        case 'double_click':
+          result = await this.performMouseAction('double_click', params);
+          break;
+        case 'context_click':
+          result = await this.performMouseAction('context_click', params);
+          break;
+        case 'drag_and_drop':
+          result = await this.dragAndDrop(params);
+          break;
+        case 'set_field_value':
+          result = await this.setFieldValue(params);
+          break;
+        case 'fill_form':
+          result = await this.fillForm(params);
+          break;
+        case 'wait_for':
+          result = await this.waitFor(params);
+          break;
+        case 'get_opened_tabs':
+          result = this.getOpenedTabs(params);
+          break;
+        case 'wait_for_popup':
+          result = await this.waitForPopup(params);
+          break;
         case 'cleanup_navigation':
           this.cleanupNavigationListener(params.commandId);
           result = { success: true, message: 'Navigation listener cleaned up' };
@@ -335,6 +562,39 @@ class ConsoleLogCollector {
         case 'get_console_logs':
           result = await this.getConsoleLogs(params);
           break;
+        case 'get_network_requests':
+          result = await this.getNetworkRequests(params);
+          break;
+        case 'set_network_capture':
+          result = await this.setNetworkCapture(params);
+          break;
+        case 'get_network_request_details':
+          result = await this.getNetworkRequestDetails(params);
+          break;
+        case 'wait_for_network':
+          result = await this.waitForNetwork(params);
+          break;
+        case 'get_event_stream_messages':
+          result = await this.getEventStreamMessages(params);
+          break;
+        case 'get_websocket_messages':
+          result = await this.getWebSocketMessages(params);
+          break;
+        case 'export_network_log':
+          result = await this.exportNetworkLog(params);
+          break;
+        case 'add_network_route':
+          result = await this.addNetworkRoute(params);
+          break;
+        case 'clear_network_routes':
+          result = await this.clearNetworkRoutes(params);
+          break;
+        case 'set_request_headers':
+          result = await this.setRequestHeaders(params);
+          break;
+        case 'set_network_conditions':
+          result = await this.setNetworkConditions(params);
+          break;
         default:
           throw new Error(`Unknown command: ${command}`);
       }
@@ -368,72 +628,148 @@ class ConsoleLogCollector {
 
   async navigateToUrl(params, commandId) {
     const { url, tabId, timeout = 15000 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    return this.runNavigation(commandId, targetTabId, { action: 'navigate', requestedUrl: url, timeout }, () =>
+      chrome.tabs.update(targetTabId, { url }));
+  }
+  
+  trackNavigation(commandId, targetTabId, onChange) {
+    // Set up event listener for this navigation
+    const listener = (updatedTabId, changeInfo, tab) => {
+      if (updatedTabId !== targetTabId) return;
+      
+      if (onChange) {
+        onChange(changeInfo, tab);
+      }
+      
+      // Send URL change events
+      if (changeInfo.url) {
+        this.sendNavigationEvent(commandId, {
+          event: 'url_changed',
+          url: changeInfo.url,
+          tabId: targetTabId,
+          timestamp: Date.now()
+        });
+      }
+      
+      // Send status change events
+      if (changeInfo.status) {
+        this.sendNavigationEvent(commandId, {
+          event: 'status_changed',
+          status: changeInfo.status,
+          url: tab.url,
+          title: tab.title,
+          tabId: targetTabId,
+          timestamp: Date.now()
+        });
+      }
+      
+      // Send title change events
+      if (changeInfo.title) {
+        this.sendNavigationEvent(commandId, {
+          event: 'title_changed',
+          title: changeInfo.title,
+          url: tab.url,
+          tabId: targetTabId,
+          timestamp: Date.now()
+        });
+      }
+    };
+    
+    // Store the listener so we can clean it up later
+    this.navigationListeners = this.navigationListeners || new Map();
+    this.navigationListeners.set(commandId, listener);
+    
+    // Start listening for tab updates
+    chrome.tabs.onUpdated.addListener(listener);
+  }
+  
+  async navigateHistory(action, params, commandId) {
+    const { tabId, bypassCache = false, timeout = 15000 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    // History navigations have no requested URL, only a starting point
+    return this.runNavigation(commandId, targetTabId, { action, requestedUrl: null, timeout }, () => {
+      if (action === 'back') {
+        return chrome.tabs.goBack(targetTabId);
+      }
+      if (action === 'forward') {
+        return chrome.tabs.goForward(targetTabId);
+      }
+      return chrome.tabs.reload(targetTabId, { bypassCache });
+    });
+  }
+  
+  /**
+   * Start a navigation with navigate(), stream its tab updates as navigation events, and resolve
+   * once the page is stable: loaded, with no tab updates for settleTime. A slow navigation gets
+   * up to 2 seconds to start before a quiet, already-loaded tab is accepted.
+   */
+  async runNavigation(commandId, targetTabId, { action, requestedUrl, timeout }, navigate) {
+    const startTab = await chrome.tabs.get(targetTabId);
+    const startedAt = Date.now();
+    const settleTime = 500; // quiet period after load before the page counts as stable
+    const redirectChain = requestedUrl ? [requestedUrl] : [];
+    let lastActivity = startedAt;
+    let navigationStarted = false;
+    
+    this.sendNavigationEvent(commandId, {
+      event: 'navigation_started',
+      action,
+      requestedUrl,
+      startUrl: startTab.url,
+      tabId: targetTabId,
+      timestamp: startedAt
+    });
+    
+    this.trackNavigation(commandId, targetTabId, (changeInfo) => {
+      lastActivity = Date.now();
+      navigationStarted = true;
+      if (changeInfo.url && changeInfo.url !== redirectChain[redirectChain.length - 1]) {
+        redirectChain.push(changeInfo.url);
+      }
+    });
     
     try {
-      // Determine target tab
-      const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+      // Clear captured network requests for the new page load
+      this.networkRequests.delete(targetTabId);
       
-      // Send initial navigation started event
-      this.sendNavigationEvent(commandId, {
-        event: 'navigation_started',
-        requestedUrl: url,
-        tabId: targetTabId,
-        timestamp: Date.now()
-      });
+      await navigate();
       
-      // Set up event listener for this navigation
-      const listener = (updatedTabId, changeInfo, tab) => {
-        if (updatedTabId !== targetTabId) return;
-        
-        // Send URL change events
-        if (changeInfo.url) {
-          this.sendNavigationEvent(commandId, {
-            event: 'url_changed',
-            url: changeInfo.url,
-            tabId: targetTabId,
-            timestamp: Date.now()
-          });
-        }
+      let timedOut = false;
+      while (true) {
+        await new Promise(resolve => setTimeout(resolve, 100));
         
-        // Send status change events
-        if (changeInfo.status) {
-          this.sendNavigationEvent(commandId, {
-            event: 'status_changed',
-            status: changeInfo.status,
-            url: tab.url,
-            title: tab.title,
-            tabId: targetTabId,
-            timestamp: Date.now()
-          });
+        const elapsed = Date.now() - startedAt;
+        if (elapsed >= timeout) {
+          timedOut = true;
+          break;
         }
         
-        // Send title change events
-        if (changeInfo.title) {
-          this.sendNavigationEvent(commandId, {
-            event: 'title_changed',
-            title: changeInfo.title,
-            url: tab.url,
-            tabId: targetTabId,
-            timestamp: Date.now()
-          });
+        const tab = await chrome.tabs.get(targetTabId);
+        const quiet = Date.now() - lastActivity >= settleTime;
+        if (tab.status === 'complete' && quiet && (navigationStarted || elapsed >= 2000)) {
+          break;
         }
-      };
-      
-      // Store the listener so we can clean it up later
-      this.navigationListeners = this.navigationListeners || new Map();
-      this.navigationListeners.set(commandId, listener);
-      
-      // Start listening for tab updates
-      chrome.tabs.onUpdated.addListener(listener);
+      }
       
-      // Initiate navigation
-      await chrome.tabs.update(targetTabId, { url });
+      const finalTab = await chrome.tabs.get(targetTabId);
+      if (finalTab.url !== redirectChain[redirectChain.length - 1]) {
+        redirectChain.push(finalTab.url);
+      }
       
-      // Return immediately - native host will handle stability detection
       return {
-        success: true,
-        message: 'Navigation initiated, streaming events...',
-        tabId: targetTabId
+        action,
+        tabId: targetTabId,
+        requestedUrl,
+        startUrl: startTab.url,
+        finalUrl: finalTab.url,
+        finalTitle: finalTab.title,
+        redirectChain,
+        redirectCount: Math.max(redirectChain.length - 1, 0),
+        navigationTimeMs: Date.now() - startedAt,
+        timedOut
       };
       
     } catch (error) {
@@ -443,6 +779,8 @@ class ConsoleLogCollector {
         timestamp: Date.now()
       });
       throw error;
+    } finally {
+      this.cleanupNavigationListener(commandId);
     }
   }
   
@@ -487,6 +825,155 @@ class ConsoleLogCollector {
     }
   }
 
+  describeTab(tab) {
+    return {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      index: tab.index,
+      title: tab.title || '',
+      url: tab.url || tab.pendingUrl || '',
+      status: tab.status,
+      active: tab.active,
+      pinned: tab.pinned,
+      audible: !!tab.audible,
+      muted: !!(tab.mutedInfo && tab.mutedInfo.muted),
+      discarded: !!tab.discarded,
+      openerTabId: tab.openerTabId
+    };
+  }
+  
+  waitForTabLoad(tabId, timeout = 15000) {
+    return new Promise((resolve) => {
+      let timeoutHandle;
+      
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          finish(true);
+        }
+      };
+      
+      const finish = (loaded) => {
+        clearTimeout(timeoutHandle);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(loaded);
+      };
+      
+      timeoutHandle = setTimeout(() => finish(false), timeout);
+      chrome.tabs.onUpdated.addListener(listener);
+      
+      // The tab may have finished loading before the listener was registered
+      chrome.tabs.get(tabId).then(tab => {
+        if (tab.status === 'complete') {
+          finish(true);
+        }
+      }).catch(() => finish(false));
+    });
+  }
+  
+  async listTabs(params) {
+    const { windowId, currentWindow = false, urlContains } = params;
+    
+    const query = {};
+    if (windowId) {
+      query.windowId = windowId;
+    } else if (currentWindow) {
+      query.currentWindow = true;
+    }
+    
+    let tabs = await chrome.tabs.query(query);
+    
+    if (urlContains) {
+      tabs = tabs.filter(tab => (tab.url || tab.pendingUrl || '').includes(urlContains));
+    }
+    
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    return {
+      activeTabId: activeTab ? activeTab.id : null,
+      tabs: tabs.map(tab => this.describeTab(tab))
+    };
+  }
+  
+  async openTab(params) {
+    const { url, active = true, windowId, newWindow = false, waitForLoad = true, timeout = 15000 } = params;
+    
+    let tab;
+    if (newWindow) {
+      const window = await chrome.windows.create({ url, focused: active });
+      tab = window.tabs[0];
+    } else {
+      tab = await chrome.tabs.create({ url, active, windowId });
+    }
+    
+    let loaded = null;
+    if (waitForLoad && url) {
+      loaded = await this.waitForTabLoad(tab.id, timeout);
+      tab = await chrome.tabs.get(tab.id);
+    }
+    
+    return {
+      ...this.describeTab(tab),
+      loaded
+    };
+  }
+  
+  async closeTab(params) {
+    const { tabId, tabIds } = params;
+    
+    let targetTabIds = tabIds && tabIds.length > 0 ? tabIds : null;
+    if (!targetTabIds) {
+      targetTabIds = [tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id];
+    }
+    
+    const closedTabs = [];
+    for (const targetTabId of targetTabIds) {
+      const tab = await chrome.tabs.get(targetTabId);
+      closedTabs.push(this.describeTab(tab));
+    }
+    
+    await chrome.tabs.remove(targetTabIds);
+    
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    return {
+      closedTabs,
+      activeTabId: activeTab ? activeTab.id : null
+    };
+  }
+  
+  async activateTab(params) {
+    const { tabId, focusWindow = true } = params;
+    
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    if (focusWindow) {
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+    
+    return this.describeTab(tab);
+  }
+  
+  async duplicateTab(params) {
+    const { tabId, waitForLoad = true, timeout = 15000 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    let tab = await chrome.tabs.duplicate(targetTabId);
+    if (!tab) {
+      throw new Error(`Failed to duplicate tab ${targetTabId}`);
+    }
+    
+    let loaded = null;
+    if (waitForLoad) {
+      loaded = await this.waitForTabLoad(tab.id, timeout);
+      tab = await chrome.tabs.get(tab.id);
+    }
+    
+    return {
+      ...this.describeTab(tab),
+      sourceTabId: targetTabId,
+      loaded
+    };
+  }
+
   async getLocalStorage(params) {
     const { tabId } = params;
     const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
@@ -562,24 +1049,33 @@ class ConsoleLogCollector {
   }
 
   async getDomSnapshot(params) {
-    const { tabId, includeStyles = false, selector } = params;
+    const { tabId, includeStyles = false, selector, frameId, frameUrl, includeShadowDom = false, captureTree = false, captureHtml = true } = params;
     const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
     
     try {
       const tab = await chrome.tabs.get(targetTabId);
+      const targetFrameId = await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      if (captureTree) {
+        await this.injectPageExtractor(target);
+      }
       
       const result = await chrome.scripting.executeScript({
-        target: { tabId: targetTabId },
-        func: (selectorParam, includeStylesParam) => {
+        target,
+        func: (selectorParam, includeStylesParam, includeShadowDomParam, captureTreeParam, captureHtmlParam) => {
           const selector = selectorParam;
           const includeStyles = includeStylesParam;
+          const serialize = (element) => includeShadowDomParam
+            ? window.browserPilotSelectors.serializeWithShadowRoots(element)
+            : element.outerHTML;
           try {
             let element;
             let elementCount = 1;
             
             if (selector) {
-              // Get specific element
-              element = document.querySelector(selector);
+              // Get specific element (supports >>> to pierce shadow roots)
+              element = window.browserPilotSelectors.querySelector(selector);
               if (!element) {
                 return {
                   error: `No element found matching selector: ${selector}`,
@@ -592,9 +1088,11 @@ class ConsoleLogCollector {
               elementCount = document.querySelectorAll('*').length;
             }
             
-            let html;
+            let html = '';
             
-            if (includeStyles && element === document.documentElement) {
+            if (!captureHtmlParam) {
+              // Tree-only capture, used when diffing against the live page
+            } else if (includeStyles && element === document.documentElement) {
               // For full document with styles, include computed styles
               const elementsWithStyles = [];
               const allElements = element.querySelectorAll('*');
@@ -622,7 +1120,7 @@ class ConsoleLogCollector {
                 }
               });
               
-              html = element.outerHTML;
+              html = serialize(element);
               
               // Clean up - remove the data attributes we added
               allElements.forEach(el => {
@@ -630,13 +1128,15 @@ class ConsoleLogCollector {
               });
             } else {
               // Standard HTML without computed styles
-              html = element.outerHTML;
+              html = serialize(element);
             }
             
             return {
               html: html,
+              tree: captureTreeParam ? window.browserPilotExtractor.captureTree(element, includeShadowDomParam) : undefined,
               elementCount: selector ? 1 : elementCount,
-              selector: selector || null
+              selector: selector || null,
+              documentUrl: location.href
             };
             
           } catch (error) {
@@ -647,7 +1147,7 @@ class ConsoleLogCollector {
             };
           }
         },
-        args: [selector || null, includeStyles || false]
+        args: [selector || null, includeStyles || false, includeShadowDom, captureTree, captureHtml]
       });
       
       const scriptResult = result[0].result;
@@ -661,9 +1161,13 @@ class ConsoleLogCollector {
         url: tab.url,
         title: tab.title,
         html: scriptResult.html,
+        tree: scriptResult.tree,
         elementCount: scriptResult.elementCount,
         selector: scriptResult.selector,
-        includeStyles: includeStyles
+        includeStyles: includeStyles,
+        includeShadowDom: includeShadowDom,
+        frameId: targetFrameId || 0,
+        frameUrl: targetFrameId ? scriptResult.documentUrl : null
       };
       
     } catch (error) {
@@ -671,88 +1175,443 @@ class ConsoleLogCollector {
     }
   }
 
-  async takeScreenshot(params) {
-    const { tabId, fullPage = false, quality = 90, format = 'png', selector } = params;
+  async extractPageContent(params) {
+    const { tabId, selector, frameId, frameUrl, includeLinks = true, includeImages = true, stripBoilerplate = true } = params;
     const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
     
     try {
       const tab = await chrome.tabs.get(targetTabId);
-      let dataUrl;
-      let dimensions = null;
+      const targetFrameId = await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      await this.injectPageExtractor(target);
       
-      if (selector) {
-        // Screenshot specific element
-        const result = await chrome.scripting.executeScript({
-          target: { tabId: targetTabId },
-          func: (selectorParam) => {
-            const element = document.querySelector(selectorParam);
-            if (!element) {
-              return { error: `No element found matching selector: ${selectorParam}` };
-            }
-            
-            const rect = element.getBoundingClientRect();
-            return {
-              rect: {
-                x: rect.x,
-                y: rect.y,
-                width: rect.width,
-                height: rect.height
-              }
-            };
-          },
-          args: [selector]
-        });
-        
-        const scriptResult = result[0].result;
-        if (scriptResult.error) {
-          throw new Error(scriptResult.error);
-        }
-        
-        const rect = scriptResult.rect;
-        
-        // Capture visible tab first
-        const fullScreenshot = await chrome.tabs.captureVisibleTab(tab.windowId, {
-          format: format,
-          quality: format === 'jpeg' ? quality : undefined
-        });
-        
-        // Use canvas to crop the element
-        const croppedDataUrl = await this.cropImage(fullScreenshot, rect);
-        dataUrl = croppedDataUrl;
-        dimensions = { width: Math.round(rect.width), height: Math.round(rect.height) };
-        
-      } else if (fullPage) {
-        // Full page screenshot - scroll through page
-        dataUrl = await this.captureFullPageScreenshot(targetTabId, format, quality);
-        
-        // Get page dimensions
-        const pageDimensions = await chrome.scripting.executeScript({
-          target: { tabId: targetTabId },
-          func: () => ({
-            width: document.documentElement.scrollWidth,
-            height: document.documentElement.scrollHeight
-          })
-        });
-        
-        dimensions = pageDimensions[0].result;
-        
-      } else {
-        // Viewport screenshot
-        dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
-          format: format,
-          quality: format === 'jpeg' ? quality : undefined
-        });
-        
-        // Get viewport dimensions
-        const viewportDimensions = await chrome.scripting.executeScript({
-          target: { tabId: targetTabId },
-          func: () => ({
-            width: window.innerWidth,
-            height: window.innerHeight
-          })
-        });
-        
-        dimensions = viewportDimensions[0].result;
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (options) => {
+          try {
+            return window.browserPilotExtractor.toMarkdown(options);
+          } catch (error) {
+            return { error: error.message };
+          }
+        },
+        args: [{ selector: selector || null, includeLinks, includeImages, stripBoilerplate }]
+      });
+      
+      const scriptResult = result[0].result;
+      
+      if (scriptResult.error) {
+        throw new Error(scriptResult.error);
+      }
+      
+      return {
+        tabId: targetTabId,
+        url: tab.url,
+        title: scriptResult.title || tab.title,
+        markdown: scriptResult.markdown,
+        source: scriptResult.source,
+        removedBlocks: scriptResult.removedBlocks,
+        wordCount: scriptResult.wordCount,
+        frameId: targetFrameId || 0,
+        frameUrl: targetFrameId ? scriptResult.documentUrl : null
+      };
+      
+    } catch (error) {
+      throw new Error(`Failed to extract page content: ${error.message}`);
+    }
+  }
+
+  async extractStructured(params) {
+    const { tabId, mode, selector, limit = 100, frameId, frameUrl } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    try {
+      const tab = await chrome.tabs.get(targetTabId);
+      const targetFrameId = await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      await this.injectPageExtractor(target);
+      
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (options) => {
+          try {
+            return window.browserPilotExtractor.extractStructured(options);
+          } catch (error) {
+            return { error: error.message };
+          }
+        },
+        args: [{ mode, selector: selector || null, limit }]
+      });
+      
+      const scriptResult = result[0].result;
+      
+      if (scriptResult.error) {
+        throw new Error(scriptResult.error);
+      }
+      
+      return {
+        ...scriptResult,
+        tabId: targetTabId,
+        url: tab.url,
+        title: scriptResult.title || tab.title,
+        frameId: targetFrameId || 0,
+        frameUrl: targetFrameId ? scriptResult.documentUrl : null
+      };
+      
+    } catch (error) {
+      throw new Error(`Failed to extract ${mode}: ${error.message}`);
+    }
+  }
+
+  async getAccessibilitySnapshot(params) {
+    const { tabId, interestingOnly = true, maxNodes = 500 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    if (!this.attachedTabs.has(targetTabId)) {
+      await this.attachDebuggerToTab(targetTabId);
+    }
+    
+    const tab = await chrome.tabs.get(targetTabId);
+    const { nodes } = await chrome.debugger.sendCommand({ tabId: targetTabId }, 'Accessibility.getFullAXTree', {});
+    
+    const nodesById = new Map(nodes.map(node => [node.nodeId, node]));
+    const root = nodes.find(node => !node.parentId) || nodes[0];
+    
+    // Structural roles that only add nesting; their children are promoted
+    const transparentRoles = new Set(['generic', 'none', 'presentation', 'InlineTextBox', 'LineBreak', 'Ignored']);
+    const reportedProperties = [
+      'focused', 'disabled', 'checked', 'pressed', 'selected', 'expanded',
+      'required', 'readonly', 'invalid', 'level', 'haspopup', 'url'
+    ];
+    
+    const refs = new Map();
+    const output = [];
+    let truncated = false;
+    
+    const visit = (node, depth, parentName) => {
+      if (!node) return;
+      if (output.length >= maxNodes) {
+        truncated = true;
+        return;
+      }
+      
+      const role = node.role ? node.role.value : '';
+      const name = node.name ? String(node.name.value || '') : '';
+      const isTransparent = node.ignored || (interestingOnly && (
+        (transparentRoles.has(role) && !name) ||
+        // Text already carried by the parent's accessible name adds nothing
+        (role === 'StaticText' && name === parentName)
+      ));
+      
+      let childDepth = depth;
+      if (!isTransparent) {
+        const entry = { role, name, depth };
+        
+        if (node.value && node.value.value !== undefined && node.value.value !== '') {
+          entry.value = String(node.value.value).substring(0, 200);
+        }
+        
+        const properties = {};
+        for (const property of node.properties || []) {
+          const propertyName = property.name.toLowerCase();
+          const value = property.value ? property.value.value : undefined;
+          if (reportedProperties.includes(propertyName) && value !== undefined && value !== false && value !== 'false') {
+            properties[propertyName] = value;
+          }
+        }
+        if (Object.keys(properties).length > 0) {
+          entry.properties = properties;
+        }
+        
+        if (node.backendDOMNodeId && role !== 'StaticText') {
+          entry.ref = `e${refs.size + 1}`;
+          refs.set(entry.ref, node.backendDOMNodeId);
+        }
+        
+        output.push(entry);
+        childDepth = depth + 1;
+      }
+      
+      for (const childId of node.childIds || []) {
+        visit(nodesById.get(childId), childDepth, isTransparent ? parentName : name);
+      }
+    };
+    
+    visit(root, 0, null);
+    
+    // Refs are only valid until the next snapshot of this tab
+    this.accessibilityRefs.set(targetTabId, refs);
+    
+    return {
+      tabId: targetTabId,
+      url: tab.url,
+      title: tab.title,
+      totalNodes: nodes.length,
+      nodes: output,
+      truncated
+    };
+  }
+  
+  async markAccessibilityRef(tabId, ref) {
+    const refs = this.accessibilityRefs.get(tabId);
+    const backendNodeId = refs && refs.get(ref);
+    if (!backendNodeId) {
+      throw new Error(`Unknown element ref "${ref}". Take a new accessibility snapshot with get_accessibility_snapshot.`);
+    }
+    
+    if (!this.attachedTabs.has(tabId)) {
+      await this.attachDebuggerToTab(tabId);
+    }
+    
+    let object;
+    try {
+      ({ object } = await chrome.debugger.sendCommand({ tabId }, 'DOM.resolveNode', { backendNodeId }));
+    } catch (error) {
+      throw new Error(`Element ref "${ref}" is no longer in the page. Take a new accessibility snapshot with get_accessibility_snapshot.`);
+    }
+    
+    // Tag the element so the regular selector-based click/type scripts can find it, even inside shadow roots
+    await chrome.debugger.sendCommand({ tabId }, 'Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      functionDeclaration: 'function(ref) { this.setAttribute("data-browser-pilot-ref", ref); }',
+      arguments: [{ value: ref }]
+    });
+    
+    return {
+      selector: `>>> [data-browser-pilot-ref="${ref}"]`,
+      objectId: object.objectId
+    };
+  }
+  
+  async unmarkAccessibilityRef(tabId, marker) {
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'Runtime.callFunctionOn', {
+        objectId: marker.objectId,
+        functionDeclaration: 'function() { this.removeAttribute("data-browser-pilot-ref"); }'
+      });
+      await chrome.debugger.sendCommand({ tabId }, 'Runtime.releaseObject', { objectId: marker.objectId });
+    } catch (error) {
+      // The page may have navigated away, taking the element with it
+    }
+  }
+  
+  async listFrames(params) {
+    const { tabId } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    const frames = await chrome.webNavigation.getAllFrames({ tabId: targetTabId });
+    if (!frames) {
+      throw new Error(`Failed to list frames for tab ${targetTabId}`);
+    }
+    
+    const framesById = new Map(frames.map(frame => [frame.frameId, frame]));
+    const getDepth = (frame) => {
+      let depth = 0;
+      while (frame && frame.parentFrameId !== -1) {
+        depth++;
+        frame = framesById.get(frame.parentFrameId);
+      }
+      return depth;
+    };
+    
+    return {
+      tabId: targetTabId,
+      frames: frames.map(frame => ({
+        frameId: frame.frameId,
+        parentFrameId: frame.parentFrameId,
+        url: frame.url,
+        depth: getDepth(frame),
+        errorOccurred: frame.errorOccurred
+      }))
+    };
+  }
+  
+  async resolveFrameId(tabId, frameId, frameUrl) {
+    if (frameId !== undefined && frameId !== null) {
+      return frameId;
+    }
+    if (!frameUrl) {
+      return null;
+    }
+    
+    // Prefer child frames, since the main frame URL often contains the same host
+    const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+    const match = frames.find(frame => frame.frameId !== 0 && frame.url.includes(frameUrl)) ||
+      frames.find(frame => frame.url.includes(frameUrl));
+    if (!match) {
+      throw new Error(`No frame found with URL containing "${frameUrl}". Use list_frames to see the frames in this tab.`);
+    }
+    return match.frameId;
+  }
+  
+  async injectSelectorEngine(target) {
+    // Defines window.browserPilotSelectors in the isolated world; repeat injections are no-ops
+    await chrome.scripting.executeScript({
+      target,
+      files: ['content/selector-engine.js']
+    });
+  }
+  
+  async injectPageExtractor(target) {
+    // Defines window.browserPilotExtractor; needs the selector engine injected first
+    await chrome.scripting.executeScript({
+      target,
+      files: ['content/page-extractor.js']
+    });
+  }
+  
+  async injectFormControls(target) {
+    // Defines window.browserPilotForms; needs the selector engine and page extractor injected first
+    await chrome.scripting.executeScript({
+      target,
+      files: ['content/form-controls.js']
+    });
+  }
+  
+  getScriptTarget(tabId, frameId) {
+    return frameId ? { tabId, frameIds: [frameId] } : { tabId };
+  }
+  
+  async getFrameOffset(tabId, frameId) {
+    const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+    const framesById = new Map(frames.map(frame => [frame.frameId, frame]));
+    const offset = { x: 0, y: 0 };
+    
+    // Walk up to the main frame, adding each frame element's position in its parent
+    let frame = framesById.get(frameId);
+    while (frame && frame.parentFrameId !== -1) {
+      const result = await chrome.scripting.executeScript({
+        target: this.getScriptTarget(tabId, frame.parentFrameId),
+        func: (childFrameId) => {
+          for (const frameElement of document.querySelectorAll('iframe, frame')) {
+            if (chrome.runtime.getFrameId(frameElement) === childFrameId) {
+              const rect = frameElement.getBoundingClientRect();
+              return { x: rect.x + frameElement.clientLeft, y: rect.y + frameElement.clientTop };
+            }
+          }
+          return null;
+        },
+        args: [frame.frameId]
+      });
+      
+      const position = result[0].result;
+      if (!position) {
+        throw new Error(`Could not locate frame ${frame.frameId} in its parent document`);
+      }
+      offset.x += position.x;
+      offset.y += position.y;
+      frame = framesById.get(frame.parentFrameId);
+    }
+    
+    return offset;
+  }
+
+  async takeScreenshot(params) {
+    const { tabId, fullPage = false, quality = 90, format = 'png', selector, frameId, frameUrl } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    try {
+      const tab = await chrome.tabs.get(targetTabId);
+      const targetFrameId = await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      let dataUrl;
+      let dimensions = null;
+      
+      if (selector || targetFrameId) {
+        // Screenshot specific element, or the whole frame when only a frame is given
+        const target = this.getScriptTarget(targetTabId, targetFrameId);
+        await this.injectSelectorEngine(target);
+        const result = await chrome.scripting.executeScript({
+          target,
+          func: (selectorParam) => {
+            if (!selectorParam) {
+              return {
+                rect: { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight },
+                devicePixelRatio: window.devicePixelRatio
+              };
+            }
+            
+            const element = window.browserPilotSelectors.querySelector(selectorParam);
+            if (!element) {
+              return { error: `No element found matching selector: ${selectorParam}` };
+            }
+            
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            const rect = element.getBoundingClientRect();
+            return {
+              rect: {
+                x: rect.x,
+                y: rect.y,
+                width: rect.width,
+                height: rect.height
+              },
+              devicePixelRatio: window.devicePixelRatio
+            };
+          },
+          args: [selector || null]
+        });
+        
+        const scriptResult = result[0].result;
+        if (scriptResult.error) {
+          throw new Error(scriptResult.error);
+        }
+        
+        const rect = scriptResult.rect;
+        
+        // Frame coordinates are relative to the frame's own viewport
+        if (targetFrameId) {
+          const offset = await this.getFrameOffset(targetTabId, targetFrameId);
+          rect.x += offset.x;
+          rect.y += offset.y;
+        }
+        
+        // Capture visible tab first
+        const fullScreenshot = await chrome.tabs.captureVisibleTab(tab.windowId, {
+          format: format,
+          quality: format === 'jpeg' ? quality : undefined
+        });
+        
+        // Use canvas to crop the element
+        const cropped = await this.cropImage(fullScreenshot, rect, {
+          devicePixelRatio: scriptResult.devicePixelRatio || 1,
+          format,
+          quality
+        });
+        dataUrl = cropped.dataUrl;
+        dimensions = cropped.dimensions;
+        
+      } else if (fullPage) {
+        // Full page screenshot - scroll through page
+        dataUrl = await this.captureFullPageScreenshot(targetTabId, format, quality);
+        
+        // Get page dimensions
+        const pageDimensions = await chrome.scripting.executeScript({
+          target: { tabId: targetTabId },
+          func: () => ({
+            width: document.documentElement.scrollWidth,
+            height: document.documentElement.scrollHeight
+          })
+        });
+        
+        dimensions = pageDimensions[0].result;
+        
+      } else {
+        // Viewport screenshot
+        dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+          format: format,
+          quality: format === 'jpeg' ? quality : undefined
+        });
+        
+        // Get viewport dimensions
+        const viewportDimensions = await chrome.scripting.executeScript({
+          target: { tabId: targetTabId },
+          func: () => ({
+            width: window.innerWidth,
+            height: window.innerHeight
+          })
+        });
+        
+        dimensions = viewportDimensions[0].result;
       }
       
       return {
@@ -763,7 +1622,8 @@ class ConsoleLogCollector {
         dimensions: dimensions,
         format: format,
         fullPage: fullPage,
-        selector: selector || null
+        selector: selector || null,
+        frameId: targetFrameId || 0
       };
       
     } catch (error) {
@@ -820,11 +1680,43 @@ class ConsoleLogCollector {
     return screenshot;
   }
 
-  async cropImage(dataUrl, rect) {
-    // For now, just return the original image since cropping in service worker is complex
-    // TODO: Implement proper image cropping using offscreen canvas when supported
-    console.log('Element screenshot requested, but cropping not yet supported. Returning full viewport screenshot.');
-    return dataUrl;
+  async cropImage(dataUrl, rect, { devicePixelRatio = 1, format = 'png', quality = 90 } = {}) {
+    // The capture is in device pixels while rect is in CSS pixels of the top-level viewport
+    const image = await createImageBitmap(await (await fetch(dataUrl)).blob());
+    
+    try {
+      const left = Math.max(0, Math.round(rect.x * devicePixelRatio));
+      const top = Math.max(0, Math.round(rect.y * devicePixelRatio));
+      const right = Math.min(image.width, Math.round((rect.x + rect.width) * devicePixelRatio));
+      const bottom = Math.min(image.height, Math.round((rect.y + rect.height) * devicePixelRatio));
+      
+      if (right <= left || bottom <= top) {
+        throw new Error('Target is outside the visible viewport');
+      }
+      
+      const canvas = new OffscreenCanvas(right - left, bottom - top);
+      canvas.getContext('2d').drawImage(image, left, top, right - left, bottom - top, 0, 0, right - left, bottom - top);
+      
+      const blob = await canvas.convertToBlob({
+        type: format === 'jpeg' ? 'image/jpeg' : 'image/png',
+        quality: format === 'jpeg' ? quality / 100 : undefined
+      });
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      let binary = '';
+      bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+      });
+      
+      return {
+        dataUrl: `data:${blob.type};base64,${btoa(binary)}`,
+        dimensions: {
+          width: Math.round((right - left) / devicePixelRatio),
+          height: Math.round((bottom - top) / devicePixelRatio)
+        }
+      };
+    } finally {
+      image.close();
+    }
   }
   
   setupTabListeners() {
@@ -844,12 +1736,183 @@ class ConsoleLogCollector {
       }
     });
     
+    // Track new tabs and popups so actions that open them can report their IDs
+    chrome.tabs.onCreated.addListener((tab) => {
+      this.recordOpenedTab({
+        tabId: tab.id,
+        openerTabId: tab.openerTabId,
+        windowId: tab.windowId,
+        url: tab.pendingUrl || tab.url || ''
+      });
+    });
+    
+    // Navigation targets carry the opener even when tabs.onCreated does not (e.g. noopener links)
+    chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+      this.recordOpenedTab({
+        tabId: details.tabId,
+        openerTabId: details.sourceTabId,
+        url: details.url
+      });
+    });
+    
+    // Requests still open from the previous page no longer keep the tab busy
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId !== 0) {
+        return;
+      }
+      // Non-persistent header overrides end with the current page, before the new one loads its subresources
+      if (this.requestHeaderOverrides.get(details.tabId)?.persist === false) {
+        this.clearRequestHeaders(details.tabId);
+      }
+      const requests = this.inFlightRequests.get(details.tabId);
+      for (const [requestId, request] of requests || []) {
+        if (request.startedAt < details.timeStamp) {
+          requests.delete(requestId);
+        }
+      }
+    });
+    
     // Clean up when tabs are closed
     chrome.tabs.onRemoved.addListener((tabId) => {
+      const openedTab = this.openedTabs.find(entry => entry.tabId === tabId);
+      if (openedTab) {
+        openedTab.closedAt = Date.now();
+      }
       this.detachDebuggerFromTab(tabId);
+      this.networkRequests.delete(tabId);
+      this.networkRoutes.delete(tabId);
+      this.capturedResourceTypes.delete(tabId);
+      this.webSockets.delete(tabId);
+      this.eventStreamMessages.delete(tabId);
+      this.networkConditions.delete(tabId);
+      this.lastNetworkActivity.delete(tabId);
+      this.inFlightRequests.delete(tabId);
+      for (const [requestId, request] of this.pendingNetworkRequests) {
+        if (request.tabId === tabId) {
+          this.pendingNetworkRequests.delete(requestId);
+        }
+      }
+      for (const [requestId, extraInfo] of this.earlyExtraInfo) {
+        if (extraInfo.tabId === tabId) {
+          this.earlyExtraInfo.delete(requestId);
+        }
+      }
+      this.requestHeaderOverrides.delete(tabId);
+      this.fetchInterceptionTabs.delete(tabId);
+      this.accessibilityRefs.delete(tabId);
+      this.mousePositions.delete(tabId);
     });
-  }
-  
+    
+    // One listener for every debugger session, so re-attaching a tab never delivers an event twice
+    chrome.debugger.onEvent.addListener((source, method, params) => {
+      if (source.tabId !== undefined) {
+        this.handleDebuggerEvent(source.tabId, method, params);
+      }
+    });
+  }
+  
+  recordOpenedTab(details) {
+    const existing = this.openedTabs.find(entry => entry.tabId === details.tabId);
+    if (existing) {
+      existing.openerTabId = existing.openerTabId || details.openerTabId;
+      existing.url = details.url || existing.url;
+      existing.windowId = existing.windowId || details.windowId;
+      return;
+    }
+    
+    this.openedTabs.push({ ...details, createdAt: Date.now() });
+    
+    // Keep only the last maxOpenedTabs entries
+    if (this.openedTabs.length > this.maxOpenedTabs) {
+      this.openedTabs.shift();
+    }
+  }
+  
+  getOpenedTabs(params) {
+    const { openerTabId, since = 0 } = params;
+    
+    return {
+      openedTabs: this.openedTabs.filter(entry =>
+        entry.createdAt >= since &&
+        (!openerTabId || entry.openerTabId === openerTabId)
+      )
+    };
+  }
+  
+  async waitForPopup(params) {
+    const {
+      openerTabId,
+      urlPattern,
+      patternType = 'substring',
+      since,
+      waitForLoad = true,
+      timeout = 10000
+    } = params;
+    const startTime = Date.now();
+    // Tabs opened earlier, e.g. by open_tab or a previous click, are only accepted when since reaches back to them
+    const openedAfter = since || startTime;
+    
+    let matchesUrl = () => true;
+    if (urlPattern) {
+      if (patternType === 'substring') {
+        matchesUrl = url => url.includes(urlPattern);
+      } else {
+        const matcher = this.compileRoutePattern(urlPattern, patternType);
+        matchesUrl = url => matcher.test(url);
+      }
+    }
+    
+    const findPopup = async () => {
+      for (const entry of this.openedTabs) {
+        if (entry.createdAt < openedAfter || entry.closedAt) continue;
+        if (openerTabId && entry.openerTabId !== openerTabId) continue;
+        
+        // The recorded URL may still be blank, so check the tab's current URL too
+        const tab = await chrome.tabs.get(entry.tabId).catch(() => null);
+        const url = tab ? (tab.url || tab.pendingUrl || entry.url) : entry.url;
+        if (tab && (matchesUrl(url) || matchesUrl(entry.url))) {
+          return { entry, tab };
+        }
+      }
+      return null;
+    };
+    
+    while (true) {
+      const popup = await findPopup();
+      if (popup) {
+        let { tab } = popup;
+        let loaded = null;
+        if (waitForLoad) {
+          loaded = await this.waitForTabLoad(tab.id, Math.max(timeout - (Date.now() - startTime), 1000));
+          tab = await chrome.tabs.get(tab.id);
+        }
+        
+        return {
+          satisfied: true,
+          elapsedMs: Date.now() - startTime,
+          popup: {
+            ...this.describeTab(tab),
+            openerTabId: popup.entry.openerTabId,
+            createdAt: popup.entry.createdAt,
+            loaded
+          }
+        };
+      }
+      
+      const elapsedMs = Date.now() - startTime;
+      if (elapsedMs >= timeout) {
+        return {
+          satisfied: false,
+          timedOut: true,
+          elapsedMs,
+          recentTabs: this.openedTabs.filter(entry => entry.createdAt >= openedAfter)
+        };
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
   async attachDebuggerToTab(tabId) {
     try {
       // First check if we're already attached to this tab
@@ -891,16 +1954,22 @@ class ConsoleLogCollector {
       // Enable Network domain for request monitoring
       await chrome.debugger.sendCommand({tabId}, 'Network.enable');
       
+      // Re-apply persistent header overrides, network routes and network conditions to the new debugger session
+      this.fetchInterceptionTabs.delete(tabId);
+      if (this.requestHeaderOverrides.has(tabId)) {
+        await this.applyRequestHeaders(tabId);
+      } else {
+        await this.updateFetchInterception(tabId);
+      }
+      const networkConditions = this.networkConditions.get(tabId);
+      if (networkConditions) {
+        await chrome.debugger.sendCommand({tabId}, 'Network.emulateNetworkConditions', networkConditions.conditions);
+        await chrome.debugger.sendCommand({tabId}, 'Network.setBlockedURLs', { urls: networkConditions.blockedUrls });
+      }
+      
       this.attachedTabs.add(tabId);
       console.log(`Debugger attached to tab ${tabId}`);
       
-      // Listen for console events
-      chrome.debugger.onEvent.addListener((source, method, params) => {
-        if (source.tabId === tabId) {
-          this.handleDebuggerEvent(tabId, method, params);
-        }
-      });
-      
     } catch (error) {
       if (error.message.includes('already attached')) {
         console.log(`Debugger already attached to tab ${tabId} (error caught)`);
@@ -917,6 +1986,8 @@ class ConsoleLogCollector {
       try {
         await chrome.debugger.detach({tabId});
         this.attachedTabs.delete(tabId);
+        // No more network events arrive to finish these
+        this.inFlightRequests.delete(tabId);
         console.log(`Debugger detached from tab ${tabId}`);
       } catch (error) {
         console.log(`Failed to detach debugger from tab ${tabId}:`, error.message);
@@ -924,17 +1995,63 @@ class ConsoleLogCollector {
     }
   }
 
+  // Track open requests for idle detection, independent of the resource types set_network_capture records
+  trackInFlightRequest(tabId, method, params) {
+    if (!this.inFlightRequests.has(tabId)) {
+      this.inFlightRequests.set(tabId, new Map());
+    }
+    const requests = this.inFlightRequests.get(tabId);
+    
+    switch (method) {
+      case 'Network.requestWillBeSent': {
+        if (LONG_LIVED_RESOURCE_TYPES.has(params.type)) {
+          return;
+        }
+        // Redirects reuse the request ID; keep the original start time
+        const existing = requests.get(params.requestId);
+        requests.set(params.requestId, {
+          id: params.requestId,
+          method: params.request.method,
+          url: params.request.url,
+          type: (params.type || 'Other').toLowerCase(),
+          startedAt: existing ? existing.startedAt : Date.now(),
+          headersAt: null
+        });
+        this.lastNetworkActivity.set(tabId, Date.now());
+        break;
+      }
+      case 'Network.responseReceived': {
+        const request = requests.get(params.requestId);
+        if (request) {
+          request.headersAt = Date.now();
+          request.status = params.response.status;
+        }
+        break;
+      }
+      case 'Network.loadingFinished':
+      case 'Network.loadingFailed':
+        if (requests.delete(params.requestId)) {
+          this.lastNetworkActivity.set(tabId, Date.now());
+        }
+        break;
+    }
+  }
+  
   handleNetworkEvent(tabId, method, params) {
     try {
       const requestId = params.requestId;
+      this.trackInFlightRequest(tabId, method, params);
       
       switch (method) {
         case 'Network.requestWillBeSent':
           // Start tracking new request
           const request = params.request;
+          const earlyExtraInfo = this.earlyExtraInfo.get(requestId);
+          this.earlyExtraInfo.delete(requestId);
           
-          // Only track XHR and Fetch requests
-          if (params.type !== 'XHR' && params.type !== 'Fetch') {
+          // Only track the resource types configured for this tab
+          const resourceType = params.type || 'Other';
+          if (!this.shouldCaptureResourceType(tabId, resourceType)) {
             return;
           }
           
@@ -943,22 +2060,23 @@ class ConsoleLogCollector {
             tabId: tabId,
             method: request.method,
             url: request.url,
-            requestHeaders: request.headers || {},
+            requestHeaders: { ...(request.headers || {}), ...(earlyExtraInfo?.requestHeaders || {}) },
             requestBody: request.postData || undefined,
+            hasPostData: !!request.hasPostData,
             timing: {
               startTime: params.timestamp * 1000, // Convert to milliseconds
             },
             timestamp: Date.now(),
-            type: params.type.toLowerCase()
+            type: resourceType.toLowerCase()
           };
+          if (earlyExtraInfo?.responseHeaders) {
+            networkRequest.responseHeaders = earlyExtraInfo.responseHeaders;
+          }
           
           this.pendingNetworkRequests.set(requestId, networkRequest);
           
-          // Send initial request data to native host
-          this.sendToNativeHost({
-            type: 'network_request',
-            data: networkRequest
-          });
+          // Store and forward initial request data
+          this.recordNetworkRequest(networkRequest);
           break;
           
         case 'Network.responseReceived':
@@ -970,37 +2088,72 @@ class ConsoleLogCollector {
               ...pendingRequest,
               status: response.status,
               statusText: response.statusText,
-              responseHeaders: response.headers || {},
-              responseSize: response.encodedDataLength || 0
+              responseHeaders: { ...(pendingRequest.responseHeaders || {}), ...(response.headers || {}) },
+              responseSize: response.encodedDataLength || 0,
+              mimeType: response.mimeType,
+              protocol: response.protocol,
+              remoteIPAddress: response.remoteIPAddress,
+              resourceTiming: response.timing
             };
             
             this.pendingNetworkRequests.set(requestId, updatedRequest);
             
-            // Send updated request data to native host
-            this.sendToNativeHost({
-              type: 'network_request',
-              data: updatedRequest
-            });
+            // Store and forward updated request data
+            this.recordNetworkRequest(updatedRequest);
+          }
+          break;
+          
+        case 'Network.requestWillBeSentExtraInfo':
+          // Raw headers as sent on the wire, including Cookie
+          const sentRequest = this.pendingNetworkRequests.get(requestId);
+          if (sentRequest) {
+            const sentWithHeaders = {
+              ...sentRequest,
+              requestHeaders: { ...sentRequest.requestHeaders, ...(params.headers || {}) }
+            };
+            this.pendingNetworkRequests.set(requestId, sentWithHeaders);
+            this.recordNetworkRequest(sentWithHeaders);
+          } else {
+            // ExtraInfo may arrive before requestWillBeSent
+            this.bufferEarlyExtraInfo(tabId, requestId, 'requestHeaders', params.headers);
+          }
+          break;
+          
+        case 'Network.responseReceivedExtraInfo':
+          // Raw response headers, including Set-Cookie
+          const receivingRequest = this.pendingNetworkRequests.get(requestId);
+          if (receivingRequest) {
+            const receivedWithHeaders = {
+              ...receivingRequest,
+              responseHeaders: { ...(receivingRequest.responseHeaders || {}), ...(params.headers || {}) }
+            };
+            this.pendingNetworkRequests.set(requestId, receivedWithHeaders);
+            this.recordNetworkRequest(receivedWithHeaders);
+          } else {
+            this.bufferEarlyExtraInfo(tabId, requestId, 'responseHeaders', params.headers);
           }
           break;
           
+        case 'Network.eventSourceMessageReceived':
+          this.recordEventSourceMessage(tabId, params);
+          break;
+          
         case 'Network.loadingFinished':
           // Finalize request timing
           const finishingRequest = this.pendingNetworkRequests.get(requestId);
           if (finishingRequest) {
             const finalRequest = {
               ...finishingRequest,
+              responseSize: params.encodedDataLength || finishingRequest.responseSize || 0,
               timing: {
                 ...finishingRequest.timing,
                 duration: (params.timestamp * 1000) - finishingRequest.timing.startTime
-              }
+              },
+              completedAt: Date.now()
             };
             
-            // Send final request data to native host
-            this.sendToNativeHost({
-              type: 'network_request',
-              data: finalRequest
-            });
+            // Store and forward final request data
+            this.recordNetworkRequest(finalRequest);
             
             // Clean up - remove from pending requests
             this.pendingNetworkRequests.delete(requestId);
@@ -1018,14 +2171,12 @@ class ConsoleLogCollector {
               timing: {
                 ...failedRequest.timing,
                 duration: (params.timestamp * 1000) - failedRequest.timing.startTime
-              }
+              },
+              completedAt: Date.now()
             };
             
-            // Send failed request data to native host
-            this.sendToNativeHost({
-              type: 'network_request',
-              data: errorRequest
-            });
+            // Store and forward failed request data
+            this.recordNetworkRequest(errorRequest);
             
             // Clean up - remove from pending requests
             this.pendingNetworkRequests.delete(requestId);
@@ -1037,120 +2188,1211 @@ class ConsoleLogCollector {
     }
   }
   
-  handleDebuggerEvent(tabId, method, params) {
-    // Handle network events
-    if (method.startsWith('Network.')) {
-      this.handleNetworkEvent(tabId, method, params);
-      return;
+  bufferEarlyExtraInfo(tabId, requestId, key, headers) {
+    const entry = this.earlyExtraInfo.get(requestId) || { tabId };
+    entry[key] = { ...(entry[key] || {}), ...(headers || {}) };
+    this.earlyExtraInfo.set(requestId, entry);
+    
+    // Drop the oldest entries whose request never showed up
+    while (this.earlyExtraInfo.size > this.maxEarlyExtraInfo) {
+      this.earlyExtraInfo.delete(this.earlyExtraInfo.keys().next().value);
     }
+  }
+  
+  recordNetworkRequest(requestData) {
+    const { tabId } = requestData;
+    this.lastNetworkActivity.set(tabId, Date.now());
     
-    // Handle console events
-    if (method === 'Runtime.consoleAPICalled') {
-      this.addConsoleLog(tabId, {
-        level: params.type,
-        message: this.formatConsoleArgs(params.args),
-        timestamp: params.timestamp,
-        url: params.executionContextId ? 'page' : 'unknown',
-        lineNumber: params.lineNumber || 0
-      });
-    } else if (method === 'Runtime.exceptionThrown') {
-      this.addConsoleLog(tabId, {
-        level: 'error',
-        message: params.exceptionDetails.text,
-        timestamp: params.timestamp,
-        url: 'exception',
-        lineNumber: params.exceptionDetails.lineNumber || 0,
-        stackTrace: params.exceptionDetails.stackTrace
-      });
+    // Initialize tab's request buffer if needed
+    if (!this.networkRequests.has(tabId)) {
+      this.networkRequests.set(tabId, []);
+    }
+    
+    const tabRequests = this.networkRequests.get(tabId);
+    const existingIndex = tabRequests.findIndex(req => req.id === requestData.id);
+    
+    if (existingIndex !== -1) {
+      // Update existing request
+      tabRequests[existingIndex] = { ...tabRequests[existingIndex], ...requestData };
+    } else {
+      // Add new request at the beginning (most recent first)
+      tabRequests.unshift(requestData);
+      
+      // Keep only the last maxNetworkRequests entries per tab
+      if (tabRequests.length > this.maxNetworkRequests) {
+        tabRequests.splice(this.maxNetworkRequests);
+      }
     }
+    
+    // Forward to native host for any listening clients
+    this.sendToNativeHost({
+      type: 'network_request',
+      data: requestData
+    });
   }
   
-  formatConsoleArgs(args) {
-    return args.map(arg => {
-      if (arg.type === 'string') return arg.value;
-      if (arg.type === 'number') return arg.value.toString();
-      if (arg.type === 'boolean') return arg.value.toString();
-      if (arg.type === 'object') return JSON.stringify(arg.preview || {type: arg.subtype || 'object'});
-      return String(arg.value || arg.description || '[object]');
-    }).join(' ');
+  shouldCaptureResourceType(tabId, resourceType) {
+    const types = this.capturedResourceTypes.get(tabId);
+    return !types || types.has(resourceType);
   }
   
-  addConsoleLog(tabId, logEntry) {
-    const log = {
-      id: crypto.randomUUID(),
-      tabId,
-      ...logEntry,
-      timestamp: Date.now()
+  async setNetworkCapture(params) {
+    const { tabId, resourceTypes } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    if (!resourceTypes || resourceTypes.length === 0) {
+      this.capturedResourceTypes.delete(targetTabId);
+    } else {
+      this.capturedResourceTypes.set(targetTabId, new Set(resourceTypes));
+    }
+    
+    return {
+      tabId: targetTabId,
+      resourceTypes: resourceTypes && resourceTypes.length > 0 ? resourceTypes : 'all'
+    };
+  }
+  
+  async getNetworkRequests(params) {
+    const { tabId, limit = 50, method, status, since, resourceType, urlContains, urlRegex } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    let requests = this.networkRequests.get(targetTabId) || [];
+    
+    // Filter by HTTP method if specified
+    if (method) {
+      requests = requests.filter(req => req.method.toLowerCase() === method.toLowerCase());
+    }
+    
+    // Filter by status code if specified; 0 matches failed and blocked requests
+    if (status !== undefined) {
+      requests = requests.filter(req => req.status === status);
+    }
+    
+    // Filter by timestamp if specified
+    if (since) {
+      requests = requests.filter(req => req.timestamp >= since);
+    }
+    
+    // Filter by resource type if specified
+    if (resourceType) {
+      requests = requests.filter(req => req.type === resourceType.toLowerCase());
+    }
+    
+    // Filter by URL substring or regex if specified
+    if (urlContains) {
+      requests = requests.filter(req => req.url.includes(urlContains));
+    }
+    
+    if (urlRegex) {
+      let pattern;
+      try {
+        pattern = new RegExp(urlRegex);
+      } catch (error) {
+        throw new Error(`Invalid URL regex "${urlRegex}": ${error.message}`);
+      }
+      requests = requests.filter(req => pattern.test(req.url));
+    }
+    
+    return {
+      tabId: targetTabId,
+      totalCount: requests.length,
+      requests: requests.slice(0, limit),
+      since: since || null
     };
+  }
+  
+  // Requests keeping the tab busy; responses streaming past STREAMING_RESPONSE_CUTOFF are left out
+  getInFlightRequests(tabId) {
+    const now = Date.now();
+    return Array.from((this.inFlightRequests.get(tabId) || new Map()).values())
+      .filter(request => !request.headersAt || now - request.headersAt < STREAMING_RESPONSE_CUTOFF);
+  }
+  
+  async waitForNetwork(params) {
+    const {
+      tabId,
+      mode = 'idle',
+      idleTime = 500,
+      urlPattern,
+      patternType = 'substring',
+      method,
+      status,
+      since,
+      timeout = 10000
+    } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    const startTime = Date.now();
     
-    this.logs.unshift(log);
+    let matchesUrl = () => true;
+    if (urlPattern) {
+      if (patternType === 'substring') {
+        matchesUrl = url => url.includes(urlPattern);
+      } else {
+        const matcher = this.compileRoutePattern(urlPattern, patternType);
+        matchesUrl = url => matcher.test(url);
+      }
+    }
     
-    // Keep only the last maxLogs entries
-    if (this.logs.length > this.maxLogs) {
-      this.logs = this.logs.slice(0, this.maxLogs);
+    if (mode === 'request' && !urlPattern && !status) {
+      throw new Error('urlPattern or status is required when waiting for a request');
     }
     
-    console.log('Console log captured:', log);
+    // Network events, and so in-flight tracking, need the debugger
+    if (!this.attachedTabs.has(targetTabId)) {
+      await this.attachDebuggerToTab(targetTabId);
+    }
     
-    // Send to native host
-    this.sendToNativeHost({
-      type: 'console_log',
-      data: log
+    // Requests completed before this point are ignored unless `since` reaches back further
+    const completedAfter = since || startTime;
+    
+    const findMatchingRequest = () => (this.networkRequests.get(targetTabId) || []).find(request =>
+      request.completedAt &&
+      request.completedAt >= completedAfter &&
+      matchesUrl(request.url) &&
+      (!method || request.method.toLowerCase() === method.toLowerCase()) &&
+      (!status || request.status === status)
+    );
+    
+    const isIdle = () => {
+      if (this.getInFlightRequests(targetTabId).length > 0) {
+        return false;
+      }
+      const lastActivity = Math.max(this.lastNetworkActivity.get(targetTabId) || 0, startTime);
+      return Date.now() - lastActivity >= idleTime;
+    };
+    
+    return new Promise(resolve => {
+      const poll = setInterval(() => {
+        const elapsedMs = Date.now() - startTime;
+        
+        if (mode === 'request') {
+          const matchedRequest = findMatchingRequest();
+          if (matchedRequest) {
+            clearInterval(poll);
+            resolve({ tabId: targetTabId, mode, satisfied: true, elapsedMs, matchedRequest });
+            return;
+          }
+        } else if (isIdle()) {
+          clearInterval(poll);
+          resolve({ tabId: targetTabId, mode, satisfied: true, elapsedMs });
+          return;
+        }
+        
+        if (elapsedMs >= timeout) {
+          clearInterval(poll);
+          const now = Date.now();
+          resolve({
+            tabId: targetTabId,
+            mode,
+            satisfied: false,
+            timedOut: true,
+            elapsedMs,
+            pending: this.getInFlightRequests(targetTabId).map(request => ({
+              id: request.id,
+              method: request.method,
+              url: request.url,
+              type: request.type,
+              status: request.status,
+              pendingMs: now - request.startedAt
+            }))
+          });
+        }
+      }, 100);
     });
   }
-
-  async clickElementByIdentifier(params) {
-    const { tabId, selector, text } = params;
+  
+  async getNetworkRequestDetails(params) {
+    const { tabId, requestId, includeBody = true, maxBodySize = 20000 } = params;
     const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
     
-    try {
-      const result = await chrome.scripting.executeScript({
-        target: { tabId: targetTabId },
-        func: (selectorParam, textParam) => {
-          console.log('=== Browser Pilot Extension: Starting element click by identifier ===');
-          console.log('Selector:', selectorParam, 'Text:', textParam);
-          
-          // Subtle background flash to show we're running
-          const originalBg = document.body.style.backgroundColor;
-          document.body.style.backgroundColor = 'rgba(255, 255, 0, 0.1)';
-          
-          let targetElement = null;
-          let method = '';
-          
-          // First try selector if provided
-          if (selectorParam) {
-            try {
-              const elements = document.querySelectorAll(selectorParam);
-              for (const element of elements) {
-                const style = window.getComputedStyle(element);
-                if (style.display !== 'none' && 
-                    style.visibility !== 'hidden' && 
-                    style.opacity !== '0' &&
-                    element.offsetWidth > 0 && 
-                    element.offsetHeight > 0) {
-                  targetElement = element;
-                  method = `selector: ${selectorParam}`;
-                  break;
-                }
-              }
-            } catch (error) {
-              console.log('Invalid selector:', selectorParam);
-            }
+    const tabRequests = this.networkRequests.get(targetTabId) || [];
+    const request = tabRequests.find(req => req.id === requestId);
+    if (!request) {
+      throw new Error(`No captured request with ID ${requestId} in tab ${targetTabId}`);
+    }
+    
+    const details = { ...request };
+    delete details.requestBody;
+    
+    if (!includeBody) {
+      return details;
+    }
+    
+    // Request payload - postData may be omitted from the event when it is large
+    let postData = request.requestBody;
+    if (postData === undefined && request.hasPostData) {
+      try {
+        const payload = await chrome.debugger.sendCommand({ tabId: targetTabId }, 'Network.getRequestPostData', { requestId });
+        postData = payload.postData;
+      } catch (error) {
+        details.requestBodyError = error.message;
+      }
+    }
+    
+    if (postData !== undefined) {
+      const contentType = Object.entries(request.requestHeaders || {})
+        .find(([name]) => name.toLowerCase() === 'content-type')?.[1];
+      details.requestBody = this.formatNetworkBody(postData, false, contentType, maxBodySize);
+    }
+    
+    // Response body - only available once the response has been received
+    if (request.status) {
+      try {
+        const response = await chrome.debugger.sendCommand({ tabId: targetTabId }, 'Network.getResponseBody', { requestId });
+        details.responseBody = this.formatNetworkBody(response.body, response.base64Encoded, request.mimeType, maxBodySize);
+      } catch (error) {
+        details.responseBodyError = error.message;
+      }
+    }
+    
+    return details;
+  }
+  
+  async exportNetworkLog(params) {
+    const { tabId, includeBodies = false, maxBodySize = 1000000 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    const tab = await chrome.tabs.get(targetTabId);
+    
+    // Buffer is most recent first, HAR entries are chronological
+    const requests = [...(this.networkRequests.get(targetTabId) || [])].reverse();
+    const entries = [];
+    
+    for (const request of requests) {
+      const entry = { ...request };
+      
+      if (includeBodies && request.status) {
+        try {
+          const response = await chrome.debugger.sendCommand({ tabId: targetTabId }, 'Network.getResponseBody', { requestId: request.id });
+          if (response.body.length <= maxBodySize) {
+            entry.responseContent = {
+              text: response.body,
+              base64Encoded: response.base64Encoded
+            };
+          } else {
+            entry.responseContentOmitted = `Body exceeds ${maxBodySize} characters`;
           }
-          
-          // Then try text search if no element found and text provided
-          if (!targetElement && textParam) {
-            const clickableSelectors = [
-              'button', 'a', '[onclick]', '[role="button"]', 
-              'input[type="button"]', 'input[type="submit"]', 
-              '.btn', '.button', '.link', '.nav-link',
-              'li', 'div[onclick]', 'span[onclick]'
-            ];
-            
-            for (const sel of clickableSelectors) {
-              const elements = document.querySelectorAll(sel);
-              for (const element of elements) {
-                const elementText = element.textContent || element.innerText || '';
+        } catch (error) {
+          entry.responseContentOmitted = error.message;
+        }
+      }
+      
+      entries.push(entry);
+    }
+    
+    return {
+      tabId: targetTabId,
+      url: tab.url,
+      title: tab.title,
+      requests: entries
+    };
+  }
+  
+  formatNetworkBody(body, base64Encoded, mimeType = '', maxBodySize = 20000) {
+    const isText = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i.test(mimeType || '');
+    let content = body || '';
+    let size = content.length;
+    
+    if (base64Encoded) {
+      const binary = atob(content);
+      size = binary.length;
+      
+      // Summarise binary payloads rather than returning raw bytes
+      if (!isText) {
+        return {
+          encoding: 'binary',
+          mimeType: mimeType || 'application/octet-stream',
+          size,
+          content: `[binary data: ${mimeType || 'unknown type'}, ${size} bytes]`,
+          truncated: false
+        };
+      }
+      
+      const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+      content = new TextDecoder().decode(bytes);
+    }
+    
+    let encoding = 'text';
+    if (/json/i.test(mimeType || '') || /^\s*[\[{]/.test(content)) {
+      try {
+        content = JSON.stringify(JSON.parse(content), null, 2);
+        encoding = 'json';
+      } catch (error) {
+        // Not valid JSON, keep as text
+      }
+    }
+    
+    const truncated = content.length > maxBodySize;
+    if (truncated) {
+      const remaining = content.length - maxBodySize;
+      content = `${content.substring(0, maxBodySize)}\n... [truncated ${remaining} more characters]`;
+    }
+    
+    return {
+      encoding,
+      mimeType: mimeType || null,
+      size,
+      content,
+      truncated
+    };
+  }
+  
+  async addNetworkRoute(params) {
+    const {
+      tabId,
+      urlPattern,
+      patternType = 'glob',
+      method,
+      action = 'fulfill',
+      status = 200,
+      headers = {},
+      body,
+      errorReason = 'Failed',
+      overrideUrl,
+      overrideMethod,
+      overridePostData,
+      delay = 0,
+      times
+    } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    // Validate the pattern up front so a bad regex fails the command, not every request
+    const matcher = this.compileRoutePattern(urlPattern, patternType);
+    
+    if (!this.attachedTabs.has(targetTabId)) {
+      await this.attachDebuggerToTab(targetTabId);
+    }
+    
+    const routes = this.networkRoutes.get(targetTabId) || [];
+    const route = {
+      id: crypto.randomUUID().substring(0, 8),
+      urlPattern,
+      patternType,
+      matcher,
+      method: method ? method.toUpperCase() : null,
+      action,
+      status,
+      headers,
+      body,
+      errorReason,
+      overrideUrl,
+      overrideMethod,
+      overridePostData,
+      delay,
+      times: times || null,
+      hits: 0,
+      failures: 0, // matches the route could not be applied to, e.g. an invalid header value
+      lastError: null,
+      createdAt: Date.now()
+    };
+    
+    // Most recently added route wins when several match
+    routes.unshift(route);
+    this.networkRoutes.set(targetTabId, routes);
+    
+    await this.updateFetchInterception(targetTabId);
+    
+    return {
+      tabId: targetTabId,
+      route: this.describeNetworkRoute(route),
+      routes: routes.map(r => this.describeNetworkRoute(r))
+    };
+  }
+  
+  async clearNetworkRoutes(params) {
+    const { tabId, routeId } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    const routes = this.networkRoutes.get(targetTabId) || [];
+    const remaining = routeId ? routes.filter(route => route.id !== routeId) : [];
+    const cleared = routes.length - remaining.length;
+    
+    if (routeId && cleared === 0) {
+      throw new Error(`No network route with ID ${routeId} in tab ${targetTabId}`);
+    }
+    
+    if (remaining.length > 0) {
+      this.networkRoutes.set(targetTabId, remaining);
+    } else {
+      this.networkRoutes.delete(targetTabId);
+    }
+    
+    await this.updateFetchInterception(targetTabId);
+    
+    return {
+      tabId: targetTabId,
+      cleared,
+      routes: remaining.map(route => this.describeNetworkRoute(route))
+    };
+  }
+  
+  async setNetworkConditions(params) {
+    const { tabId, preset, latency, downloadKbps, uploadKbps, blockedUrls } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    if (!this.attachedTabs.has(targetTabId)) {
+      await this.attachDebuggerToTab(targetTabId);
+    }
+    
+    const previous = this.networkConditions.get(targetTabId) || {
+      preset: 'none',
+      conditions: NETWORK_CONDITION_PRESETS.none,
+      blockedUrls: []
+    };
+    const state = { ...previous };
+    
+    const isCustom = latency !== undefined || downloadKbps !== undefined || uploadKbps !== undefined;
+    if (preset || isCustom) {
+      if (preset && !NETWORK_CONDITION_PRESETS[preset]) {
+        throw new Error(`Unknown network preset: ${preset}`);
+      }
+      
+      // Custom values are applied on top of the preset (or no throttling)
+      const conditions = { ...NETWORK_CONDITION_PRESETS[preset || 'none'] };
+      if (latency !== undefined) {
+        conditions.latency = latency;
+      }
+      if (downloadKbps !== undefined) {
+        conditions.downloadThroughput = downloadKbps * 1000 / 8;
+      }
+      if (uploadKbps !== undefined) {
+        conditions.uploadThroughput = uploadKbps * 1000 / 8;
+      }
+      
+      await chrome.debugger.sendCommand({ tabId: targetTabId }, 'Network.emulateNetworkConditions', conditions);
+      state.preset = isCustom ? 'custom' : preset;
+      state.conditions = conditions;
+    }
+    
+    if (blockedUrls !== undefined) {
+      await chrome.debugger.sendCommand({ tabId: targetTabId }, 'Network.setBlockedURLs', { urls: blockedUrls });
+      state.blockedUrls = blockedUrls;
+    }
+    
+    const isDefault = state.preset === 'none' && state.blockedUrls.length === 0;
+    if (isDefault) {
+      this.networkConditions.delete(targetTabId);
+    } else {
+      this.networkConditions.set(targetTabId, state);
+    }
+    
+    return {
+      tabId: targetTabId,
+      ...state
+    };
+  }
+  
+  async updateFetchInterception(tabId) {
+    const hasRoutes = (this.networkRoutes.get(tabId) || []).length > 0;
+    const hasScopedHeaders = (this.requestHeaderOverrides.get(tabId)?.origins || []).length > 0;
+    const needed = hasRoutes || hasScopedHeaders;
+    
+    if (needed && !this.fetchInterceptionTabs.has(tabId)) {
+      // Intercept every request at the request stage and match routes ourselves,
+      // since Fetch patterns only support globs
+      await chrome.debugger.sendCommand({ tabId }, 'Fetch.enable', {
+        patterns: [{ urlPattern: '*', requestStage: 'Request' }]
+      });
+      this.fetchInterceptionTabs.add(tabId);
+    } else if (!needed && this.fetchInterceptionTabs.has(tabId)) {
+      this.fetchInterceptionTabs.delete(tabId);
+      try {
+        await chrome.debugger.sendCommand({ tabId }, 'Fetch.disable');
+      } catch (error) {
+        console.log(`Failed to disable request interception for tab ${tabId}:`, error.message);
+      }
+    }
+  }
+  
+  async setRequestHeaders(params) {
+    const { tabId, headers, origins = [], userAgent, persist = true, clear = false } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    if (!this.attachedTabs.has(targetTabId)) {
+      await this.attachDebuggerToTab(targetTabId);
+    }
+    
+    if (clear) {
+      await this.clearRequestHeaders(targetTabId);
+      return { tabId: targetTabId, cleared: true };
+    }
+    
+    const previous = this.requestHeaderOverrides.get(targetTabId) || { headers: {}, origins: [], userAgent: null };
+    const overrides = {
+      headers: headers !== undefined ? headers : previous.headers,
+      origins: headers !== undefined ? origins : previous.origins,
+      userAgent: userAgent !== undefined ? userAgent : previous.userAgent,
+      persist
+    };
+    
+    this.requestHeaderOverrides.set(targetTabId, overrides);
+    await this.applyRequestHeaders(targetTabId);
+    
+    return { tabId: targetTabId, cleared: false, ...overrides };
+  }
+  
+  async applyRequestHeaders(tabId) {
+    const overrides = this.requestHeaderOverrides.get(tabId);
+    if (!overrides) {
+      return;
+    }
+    
+    // Unscoped headers go on every request; origin-scoped ones are added during Fetch interception
+    const globalHeaders = overrides.origins.length === 0 ? overrides.headers : {};
+    await chrome.debugger.sendCommand({ tabId }, 'Network.setExtraHTTPHeaders', { headers: globalHeaders });
+    
+    if (overrides.userAgent) {
+      await chrome.debugger.sendCommand({ tabId }, 'Network.setUserAgentOverride', { userAgent: overrides.userAgent });
+    }
+    
+    await this.updateFetchInterception(tabId);
+  }
+  
+  async clearRequestHeaders(tabId) {
+    const overrides = this.requestHeaderOverrides.get(tabId);
+    this.requestHeaderOverrides.delete(tabId);
+    
+    if (!overrides || !this.attachedTabs.has(tabId)) {
+      return;
+    }
+    
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'Network.setExtraHTTPHeaders', { headers: {} });
+      if (overrides.userAgent) {
+        // An empty string restores the browser's default user agent
+        await chrome.debugger.sendCommand({ tabId }, 'Network.setUserAgentOverride', { userAgent: '' });
+      }
+      await this.updateFetchInterception(tabId);
+    } catch (error) {
+      console.log(`Failed to clear request header overrides for tab ${tabId}:`, error.message);
+    }
+  }
+  
+  getScopedRequestHeaders(tabId, url) {
+    const overrides = this.requestHeaderOverrides.get(tabId);
+    if (!overrides || overrides.origins.length === 0) {
+      return {};
+    }
+    
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return {};
+    }
+    
+    // Origins may be full origins (https://api.example.com) or hostnames with an optional *. wildcard
+    const matches = overrides.origins.some(origin => {
+      if (origin.includes('://')) {
+        return parsedUrl.origin === origin.replace(/\/$/, '');
+      }
+      if (origin.startsWith('*.')) {
+        const domain = origin.substring(2);
+        return parsedUrl.hostname === domain || parsedUrl.hostname.endsWith(`.${domain}`);
+      }
+      return parsedUrl.hostname === origin;
+    });
+    
+    return matches ? overrides.headers : {};
+  }
+  
+  compileRoutePattern(urlPattern, patternType) {
+    if (patternType === 'regex') {
+      try {
+        return new RegExp(urlPattern);
+      } catch (error) {
+        throw new Error(`Invalid regex pattern "${urlPattern}": ${error.message}`);
+      }
+    }
+    
+    // Glob: * matches any run of characters, ? matches a single character
+    const escaped = urlPattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+  }
+  
+  describeNetworkRoute(route) {
+    const { matcher, ...description } = route;
+    return description;
+  }
+  
+  encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+  
+  async handleRequestPaused(tabId, params) {
+    const { requestId, request } = params;
+    const routes = this.networkRoutes.get(tabId) || [];
+    
+    const route = routes.find(candidate =>
+      candidate.matcher.test(request.url) &&
+      (!candidate.method || candidate.method === request.method) &&
+      (!candidate.times || candidate.hits < candidate.times)
+    );
+    
+    const scopedHeaders = this.getScopedRequestHeaders(tabId, request.url);
+    const toHeaderEntries = headers => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+    
+    try {
+      if (!route) {
+        const continueParams = { requestId };
+        if (Object.keys(scopedHeaders).length > 0) {
+          continueParams.headers = toHeaderEntries({ ...request.headers, ...scopedHeaders });
+        }
+        await chrome.debugger.sendCommand({ tabId }, 'Fetch.continueRequest', continueParams);
+        return;
+      }
+      
+      route.hits++;
+      console.log(`Network route ${route.id} matched ${request.method} ${request.url} (${route.action})`);
+      
+      if (route.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, route.delay));
+      }
+      
+      switch (route.action) {
+        case 'fulfill': {
+          const responseHeaders = toHeaderEntries(route.headers);
+          const hasContentType = responseHeaders.some(header => header.name.toLowerCase() === 'content-type');
+          if (!hasContentType && route.body !== undefined) {
+            let contentType = 'text/plain';
+            try {
+              JSON.parse(route.body);
+              contentType = 'application/json';
+            } catch (error) {
+              // Not JSON, keep text/plain
+            }
+            responseHeaders.push({ name: 'Content-Type', value: contentType });
+          }
+          
+          await chrome.debugger.sendCommand({ tabId }, 'Fetch.fulfillRequest', {
+            requestId,
+            responseCode: route.status,
+            responseHeaders,
+            body: this.encodeBase64(route.body || '')
+          });
+          break;
+        }
+          
+        case 'abort':
+          await chrome.debugger.sendCommand({ tabId }, 'Fetch.failRequest', {
+            requestId,
+            errorReason: route.errorReason
+          });
+          break;
+          
+        case 'continue': {
+          const overrides = { requestId };
+          if (route.overrideUrl) {
+            overrides.url = route.overrideUrl;
+          }
+          if (route.overrideMethod) {
+            overrides.method = route.overrideMethod;
+          }
+          if (route.overridePostData !== undefined) {
+            overrides.postData = this.encodeBase64(route.overridePostData);
+          }
+          if (Object.keys(route.headers).length > 0 || Object.keys(scopedHeaders).length > 0) {
+            overrides.headers = toHeaderEntries({ ...request.headers, ...scopedHeaders, ...route.headers });
+          }
+          
+          await chrome.debugger.sendCommand({ tabId }, 'Fetch.continueRequest', overrides);
+          break;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to handle intercepted request ${request.url}:`, error);
+      if (route) {
+        route.failures++;
+        route.lastError = `${request.method} ${request.url}: ${error.message}`;
+      }
+      // Let the request through unchanged rather than leave the page waiting on it
+      try {
+        await chrome.debugger.sendCommand({ tabId }, 'Fetch.continueRequest', { requestId });
+      } catch (continueError) {
+        // Already handled, or the tab is gone
+      }
+    }
+  }
+  
+  handleWebSocketEvent(tabId, method, params) {
+    try {
+      const { requestId } = params;
+      
+      if (method === 'Network.webSocketCreated') {
+        if (!this.shouldCaptureResourceType(tabId, 'WebSocket')) {
+          return;
+        }
+        
+        if (!this.webSockets.has(tabId)) {
+          this.webSockets.set(tabId, new Map());
+        }
+        this.webSockets.get(tabId).set(requestId, {
+          id: requestId,
+          tabId,
+          url: params.url,
+          status: 'connecting',
+          createdAt: Date.now(),
+          closedAt: null,
+          frames: [],
+          totalFrames: 0
+        });
+        return;
+      }
+      
+      const connection = this.webSockets.get(tabId)?.get(requestId);
+      if (!connection) {
+        return;
+      }
+      
+      switch (method) {
+        case 'Network.webSocketHandshakeResponseReceived':
+          connection.status = 'open';
+          connection.handshakeStatus = params.response?.status;
+          break;
+          
+        case 'Network.webSocketFrameSent':
+        case 'Network.webSocketFrameReceived': {
+          const payload = params.response.payloadData || '';
+          connection.frames.push({
+            direction: method === 'Network.webSocketFrameSent' ? 'sent' : 'received',
+            opcode: params.response.opcode,
+            payload: payload.substring(0, this.maxWebSocketPayload),
+            payloadLength: payload.length,
+            timestamp: Date.now()
+          });
+          connection.totalFrames++;
+          
+          // Keep only the last maxWebSocketFrames frames per connection
+          if (connection.frames.length > this.maxWebSocketFrames) {
+            connection.frames.shift();
+          }
+          break;
+        }
+          
+        case 'Network.webSocketFrameError':
+          connection.lastError = params.errorMessage;
+          break;
+          
+        case 'Network.webSocketClosed':
+          connection.status = 'closed';
+          connection.closedAt = Date.now();
+          break;
+      }
+    } catch (error) {
+      console.error('Error handling WebSocket event:', error);
+    }
+  }
+  
+  recordEventSourceMessage(tabId, params) {
+    if (!this.shouldCaptureResourceType(tabId, 'EventSource')) {
+      return;
+    }
+    
+    const { requestId, eventName, eventId, data } = params;
+    
+    // The EventSource request stays pending while the stream is open
+    const request = this.pendingNetworkRequests.get(requestId) ||
+      (this.networkRequests.get(tabId) || []).find(req => req.id === requestId);
+    
+    if (!this.eventStreamMessages.has(tabId)) {
+      this.eventStreamMessages.set(tabId, []);
+    }
+    const messages = this.eventStreamMessages.get(tabId);
+    
+    messages.push({
+      requestId,
+      url: request ? request.url : 'unknown',
+      eventName: eventName || 'message',
+      eventId: eventId || null,
+      data: (data || '').substring(0, this.maxEventStreamPayload),
+      dataLength: (data || '').length,
+      truncated: (data || '').length > this.maxEventStreamPayload,
+      timestamp: Date.now()
+    });
+    
+    // Keep only the last maxEventStreamMessages messages per tab
+    if (messages.length > this.maxEventStreamMessages) {
+      messages.shift();
+    }
+  }
+  
+  async getEventStreamMessages(params) {
+    const { tabId, urlContains, eventName, since, limit = 50 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    let messages = this.eventStreamMessages.get(targetTabId) || [];
+    
+    if (urlContains) {
+      messages = messages.filter(message => message.url.includes(urlContains));
+    }
+    
+    if (eventName) {
+      messages = messages.filter(message => message.eventName === eventName);
+    }
+    
+    if (since) {
+      messages = messages.filter(message => message.timestamp >= since);
+    }
+    
+    // Group by EventSource URL
+    const streams = new Map();
+    for (const message of messages) {
+      if (!streams.has(message.url)) {
+        streams.set(message.url, []);
+      }
+      streams.get(message.url).push(message);
+    }
+    
+    return {
+      tabId: targetTabId,
+      streams: Array.from(streams.entries()).map(([url, streamMessages]) => ({
+        url,
+        totalMessages: streamMessages.length,
+        messages: streamMessages.slice(-limit)
+      }))
+    };
+  }
+  
+  async getWebSocketMessages(params) {
+    const { tabId, urlContains, direction, limit = 50 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    let connections = Array.from((this.webSockets.get(targetTabId) || new Map()).values());
+    
+    if (urlContains) {
+      connections = connections.filter(connection => connection.url.includes(urlContains));
+    }
+    
+    return {
+      tabId: targetTabId,
+      connections: connections.map(connection => {
+        const frames = direction
+          ? connection.frames.filter(frame => frame.direction === direction)
+          : connection.frames;
+        return {
+          ...connection,
+          frames: frames.slice(-limit)
+        };
+      })
+    };
+  }
+  
+  handleDebuggerEvent(tabId, method, params) {
+    // Handle WebSocket lifecycle and frame events
+    if (method.startsWith('Network.webSocket')) {
+      this.handleWebSocketEvent(tabId, method, params);
+      return;
+    }
+    
+    // Handle network events
+    if (method.startsWith('Network.')) {
+      this.handleNetworkEvent(tabId, method, params);
+      return;
+    }
+    
+    // Handle intercepted requests
+    if (method === 'Fetch.requestPaused') {
+      this.handleRequestPaused(tabId, params);
+      return;
+    }
+    
+    // Handle console events
+    if (method === 'Runtime.consoleAPICalled') {
+      this.addConsoleLog(tabId, {
+        level: params.type,
+        message: this.formatConsoleArgs(params.args),
+        timestamp: params.timestamp,
+        url: params.executionContextId ? 'page' : 'unknown',
+        lineNumber: params.lineNumber || 0
+      });
+    } else if (method === 'Runtime.exceptionThrown') {
+      this.addConsoleLog(tabId, {
+        level: 'error',
+        message: params.exceptionDetails.text,
+        timestamp: params.timestamp,
+        url: 'exception',
+        lineNumber: params.exceptionDetails.lineNumber || 0,
+        stackTrace: params.exceptionDetails.stackTrace
+      });
+    }
+  }
+  
+  formatConsoleArgs(args) {
+    return args.map(arg => {
+      if (arg.type === 'string') return arg.value;
+      if (arg.type === 'number') return arg.value.toString();
+      if (arg.type === 'boolean') return arg.value.toString();
+      if (arg.type === 'object') return JSON.stringify(arg.preview || {type: arg.subtype || 'object'});
+      return String(arg.value || arg.description || '[object]');
+    }).join(' ');
+  }
+  
+  addConsoleLog(tabId, logEntry) {
+    const log = {
+      id: crypto.randomUUID(),
+      tabId,
+      ...logEntry,
+      timestamp: Date.now()
+    };
+    
+    this.logs.unshift(log);
+    
+    // Keep only the last maxLogs entries
+    if (this.logs.length > this.maxLogs) {
+      this.logs = this.logs.slice(0, this.maxLogs);
+    }
+    
+    console.log('Console log captured:', log);
+    
+    // Send to native host
+    this.sendToNativeHost({
+      type: 'console_log',
+      data: log
+    });
+  }
+
+  async clickElementByIdentifier(params) {
+    const { tabId, text, frameId, frameUrl, ref, inputMode = 'script' } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    // Lets callers look up tabs opened by this click via get_opened_tabs
+    const actionStartedAt = Date.now();
+    let selector = params.selector;
+    let refMarker = null;
+    
+    try {
+      // Accessibility refs always point into the main frame
+      if (ref) {
+        refMarker = await this.markAccessibilityRef(targetTabId, ref);
+        selector = refMarker.selector;
+      }
+      const targetFrameId = ref ? null : await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (selectorParam, textParam, trustedParam) => {
+          console.log('=== Browser Pilot Extension: Starting element click by identifier ===');
+          console.log('Selector:', selectorParam, 'Text:', textParam);
+          
+          // Subtle background flash to show we're running
+          const originalBg = document.body.style.backgroundColor;
+          document.body.style.backgroundColor = 'rgba(255, 255, 0, 0.1)';
+          
+          let targetElement = null;
+          let method = '';
+          
+          // First try selector if provided
+          if (selectorParam) {
+            try {
+              const elements = window.browserPilotSelectors.querySelectorAll(selectorParam);
+              for (const element of elements) {
+                const style = window.getComputedStyle(element);
+                if (style.display !== 'none' && 
+                    style.visibility !== 'hidden' && 
+                    style.opacity !== '0' &&
+                    element.offsetWidth > 0 && 
+                    element.offsetHeight > 0) {
+                  targetElement = element;
+                  method = `selector: ${selectorParam}`;
+                  break;
+                }
+              }
+            } catch (error) {
+              console.log('Invalid selector:', selectorParam);
+            }
+          }
+          
+          // Then try text search if no element found and text provided
+          if (!targetElement && textParam) {
+            const clickableSelectors = [
+              'button', 'a', '[onclick]', '[role="button"]', 
+              'input[type="button"]', 'input[type="submit"]', 
+              '.btn', '.button', '.link', '.nav-link',
+              'li', 'div[onclick]', 'span[onclick]'
+            ];
+            
+            for (const sel of clickableSelectors) {
+              const elements = document.querySelectorAll(sel);
+              for (const element of elements) {
+                const elementText = element.textContent || element.innerText || '';
+                const style = window.getComputedStyle(element);
+                if (elementText.toLowerCase().includes(textParam.toLowerCase()) &&
+                    style.display !== 'none' && 
+                    style.visibility !== 'hidden' && 
+                    style.opacity !== '0' &&
+                    element.offsetWidth > 0 && 
+                    element.offsetHeight > 0) {
+                  targetElement = element;
+                  method = `text: "${textParam}" in ${sel}`;
+                  break;
+                }
+              }
+              if (targetElement) break;
+            }
+          }
+          
+          if (targetElement) {
+            console.log('Browser Pilot Extension: Found target element:', targetElement);
+            console.log('Browser Pilot Extension: Method:', method);
+            console.log('Browser Pilot Extension: About to click element...');
+            
+            let point = null;
+            let obscuredBy = null;
+            
+            if (trustedParam) {
+              // The service worker dispatches real mouse events at the element's centre
+              targetElement.scrollIntoView({ block: 'center', inline: 'center' });
+              const rect = targetElement.getBoundingClientRect();
+              point = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+              
+              // Report overlays that would receive the click instead, looking through shadow roots
+              let hit = document.elementFromPoint(point.x, point.y);
+              while (hit && hit.shadowRoot) {
+                const inner = hit.shadowRoot.elementFromPoint(point.x, point.y);
+                if (!inner || inner === hit) break;
+                hit = inner;
+              }
+              let current = hit;
+              while (current && current !== targetElement) {
+                current = current.parentNode || current.host;
+              }
+              if (hit && !current) {
+                const className = typeof hit.className === 'string' ? hit.className.trim().split(/\s+/)[0] : '';
+                obscuredBy = `${hit.tagName.toLowerCase()}${hit.id ? '#' + hit.id : ''}${className ? '.' + className : ''}`;
+              }
+            } else {
+              targetElement.click();
+            }
+            
+            console.log('Browser Pilot Extension: Clicked element - SUCCESS!');
+            
+            // Subtle green flash to show success
+            setTimeout(() => {
+              document.body.style.backgroundColor = 'rgba(0, 255, 0, 0.1)';
+              setTimeout(() => {
+                document.body.style.backgroundColor = originalBg;
+              }, 300);
+            }, 200);
+            
+            return {
+              success: true,
+              message: `Element found and clicked successfully via ${method}${trustedParam ? ' (trusted mouse events)' : ''}`,
+              elementText: (targetElement.textContent || targetElement.innerText || '').trim().substring(0, 100),
+              elementTag: targetElement.tagName.toLowerCase(),
+              selector: method.startsWith('selector:') ? selectorParam : null,
+              point,
+              obscuredBy
+            };
+          } else {
+            console.log('Browser Pilot Extension: Target element NOT found');
+            
+            // Subtle red flash to show failure
+            document.body.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
+            setTimeout(() => {
+              document.body.style.backgroundColor = originalBg;
+            }, 300);
+            
+            return {
+              success: false,
+              message: `No clickable element found${selectorParam ? ` with selector "${selectorParam}"` : ''}${textParam ? ` containing text "${textParam}"` : ''}`
+            };
+          }
+        },
+        args: [selector || null, text || null, inputMode === 'trusted']
+      });
+      
+      const scriptResult = result[0].result;
+      console.log('Element click result:', scriptResult);
+      
+      if (inputMode === 'trusted' && scriptResult.success) {
+        // Frame-relative coordinates are shifted into the main frame's viewport
+        const offset = targetFrameId ? await this.getFrameOffset(targetTabId, targetFrameId) : { x: 0, y: 0 };
+        await this.dispatchTrustedClick(targetTabId, scriptResult.point.x + offset.x, scriptResult.point.y + offset.y);
+      }
+      
+      return { ...scriptResult, tabId: targetTabId, frameId: targetFrameId || 0, ref: ref || null, inputMode, actionStartedAt };
+      
+    } catch (error) {
+      console.error('Failed to execute element click:', error);
+      return { 
+        success: false, 
+        error: `Failed to execute element click: ${error.message}` 
+      };
+    } finally {
+      if (refMarker) {
+        await this.unmarkAccessibilityRef(targetTabId, refMarker);
+      }
+    }
+  }
+
+  async typeTextInElement(params) {
+    const { tabId, text, textToType, clearFirst = true, submit = false, frameId, frameUrl, ref, inputMode = 'script', keystrokeDelay = 80 } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    // Lets callers look up tabs opened by submitting via get_opened_tabs
+    const actionStartedAt = Date.now();
+    let selector = params.selector;
+    let refMarker = null;
+    
+    try {
+      // Accessibility refs always point into the main frame
+      if (ref) {
+        refMarker = await this.markAccessibilityRef(targetTabId, ref);
+        selector = refMarker.selector;
+      }
+      const targetFrameId = ref ? null : await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (selectorParam, textParam, textToTypeParam, clearFirstParam, submitParam, trustedParam) => {
+          console.log('=== Browser Pilot Extension: Starting text input ===');
+          console.log('Selector:', selectorParam, 'Text:', textParam, 'TextToType:', textToTypeParam);
+          
+          // Subtle background flash to show we're running
+          const originalBg = document.body.style.backgroundColor;
+          document.body.style.backgroundColor = 'rgba(0, 0, 255, 0.1)';
+          
+          let targetElement = null;
+          let method = '';
+          
+          // First try selector if provided
+          if (selectorParam) {
+            try {
+              const elements = window.browserPilotSelectors.querySelectorAll(selectorParam);
+              for (const element of elements) {
+                const style = window.getComputedStyle(element);
+                if (style.display !== 'none' && 
+                    style.visibility !== 'hidden' && 
+                    style.opacity !== '0' &&
+                    element.offsetWidth > 0 && 
+                    element.offsetHeight > 0) {
+                  targetElement = element;
+                  method = `selector: ${selectorParam}`;
+                  break;
+                }
+              }
+            } catch (error) {
+              console.log('Invalid selector:', selectorParam);
+            }
+          }
+          
+          // Then try text search if no element found and text provided
+          if (!targetElement && textParam) {
+            const inputSelectors = [
+              'input[type="text"]', 'input[type="email"]', 'input[type="password"]',
+              'input[type="search"]', 'input[type="url"]', 'input[type="tel"]',
+              'input:not([type])', 'textarea', '[contenteditable="true"]',
+              '.input', '.form-control', '[role="textbox"]'
+            ];
+            
+            for (const sel of inputSelectors) {
+              const elements = document.querySelectorAll(sel);
+              for (const element of elements) {
+                const elementText = element.placeholder || element.getAttribute('aria-label') || element.textContent || '';
                 const style = window.getComputedStyle(element);
                 if (elementText.toLowerCase().includes(textParam.toLowerCase()) &&
                     style.display !== 'none' && 
@@ -1168,216 +3410,884 @@ class ConsoleLogCollector {
           }
           
           if (targetElement) {
-            console.log('Browser Pilot Extension: Found target element:', targetElement);
+            console.log('Browser Pilot Extension: Found target input element:', targetElement);
             console.log('Browser Pilot Extension: Method:', method);
-            console.log('Browser Pilot Extension: About to click element...');
+            console.log('Browser Pilot Extension: About to type text...');
             
-            targetElement.click();
+            // Focus the element first
+            targetElement.focus();
             
-            console.log('Browser Pilot Extension: Clicked element - SUCCESS!');
+            let clearNeeded = false;
+            
+            if (trustedParam) {
+              // The service worker types real keystrokes into the focused element. Existing text is
+              // selected so a Backspace clears it; otherwise the caret goes to the end.
+              targetElement.scrollIntoView({ block: 'center', inline: 'center' });
+              if (targetElement.isContentEditable) {
+                clearNeeded = clearFirstParam && targetElement.textContent.length > 0;
+                const range = document.createRange();
+                range.selectNodeContents(targetElement);
+                if (!clearFirstParam) {
+                  range.collapse(false);
+                }
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+              } else {
+                const length = (targetElement.value || '').length;
+                clearNeeded = clearFirstParam && length > 0;
+                try {
+                  if (clearFirstParam) {
+                    targetElement.select();
+                  } else {
+                    targetElement.setSelectionRange(length, length);
+                  }
+                } catch (error) {
+                  // Inputs such as type="email" do not support selection ranges
+                }
+              }
+            } else {
+              // Clear existing text if requested
+              if (clearFirstParam) {
+                targetElement.value = '';
+              }
+            
+              // Set the text value
+              targetElement.value = textToTypeParam;
+            
+              // Trigger input events to notify frameworks like React/Angular
+              const inputEvent = new Event('input', { bubbles: true });
+              const changeEvent = new Event('change', { bubbles: true });
+              targetElement.dispatchEvent(inputEvent);
+              targetElement.dispatchEvent(changeEvent);
+            
+              // Submit if requested (press Enter)
+              if (submitParam) {
+                const keydownEvent = new KeyboardEvent('keydown', {
+                  key: 'Enter',
+                  code: 'Enter',
+                  keyCode: 13,
+                  which: 13,
+                  bubbles: true
+                });
+                const keyupEvent = new KeyboardEvent('keyup', {
+                  key: 'Enter',
+                  code: 'Enter',
+                  keyCode: 13,
+                  which: 13,
+                  bubbles: true
+                });
+                targetElement.dispatchEvent(keydownEvent);
+                targetElement.dispatchEvent(keyupEvent);
+              }
+            }
+            
+            console.log('Browser Pilot Extension: Text input completed - SUCCESS!');
+            
+            // Subtle green flash to show success
+            setTimeout(() => {
+              document.body.style.backgroundColor = 'rgba(0, 255, 0, 0.1)';
+              setTimeout(() => {
+                document.body.style.backgroundColor = originalBg;
+              }, 300);
+            }, 200);
+            
+            return {
+              success: true,
+              message: `Text "${textToTypeParam}" entered successfully via ${method}${trustedParam ? ' (trusted keystrokes)' : ''}`,
+              elementType: targetElement.tagName.toLowerCase(),
+              elementPlaceholder: targetElement.placeholder || '',
+              selector: method.startsWith('selector:') ? selectorParam : null,
+              submitted: submitParam,
+              clearNeeded
+            };
+          } else {
+            console.log('Browser Pilot Extension: Target input element NOT found');
+            
+            // Subtle red flash to show failure
+            document.body.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
+            setTimeout(() => {
+              document.body.style.backgroundColor = originalBg;
+            }, 300);
+            
+            return {
+              success: false,
+              message: `No input element found${selectorParam ? ` with selector "${selectorParam}"` : ''}${textParam ? ` containing text "${textParam}"` : ''}`
+            };
+          }
+        },
+        args: [selector || null, text || null, textToType, clearFirst, submit, inputMode === 'trusted']
+      });
+      
+      const scriptResult = result[0].result;
+      console.log('Text input result:', scriptResult);
+      
+      if (inputMode === 'trusted' && scriptResult.success) {
+        if (scriptResult.clearNeeded) {
+          await this.dispatchTrustedKey(targetTabId, { key: 'Backspace', code: 'Backspace', keyCode: 8, modifiers: 0 });
+        }
+        await this.dispatchTrustedTyping(targetTabId, textToType, keystrokeDelay);
+        if (submit) {
+          await this.dispatchTrustedKey(targetTabId, getCharacterKeyDefinition('\n'));
+        }
+      }
+      
+      return { ...scriptResult, tabId: targetTabId, frameId: targetFrameId || 0, ref: ref || null, inputMode, actionStartedAt };
+      
+    } catch (error) {
+      console.error('Failed to execute text input:', error);
+      return { 
+        success: false, 
+        error: `Failed to execute text input: ${error.message}` 
+      };
+    } finally {
+      if (refMarker) {
+        await this.unmarkAccessibilityRef(targetTabId, refMarker);
+      }
+    }
+  }
+
+  async dispatchTrustedClick(tabId, x, y, { button = 'left', clickCount = 1 } = {}) {
+    if (!this.attachedTabs.has(tabId)) {
+      await this.attachDebuggerToTab(tabId);
+    }
+    
+    const buttons = { left: 1, right: 2, middle: 4 }[button];
+    await this.dispatchMouseMove(tabId, { x, y });
+    await this.humanPause(50);
+    
+    // A double click is two press/release pairs with an increasing clickCount
+    for (let count = 1; count <= clickCount; count++) {
+      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button, buttons, clickCount: count });
+      await this.humanPause(50);
+      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button, buttons: 0, clickCount: count });
+      if (count < clickCount) {
+        await this.humanPause(60);
+      }
+    }
+  }
+  
+  async dispatchMouseMove(tabId, to, { steps = 5, buttons = 0 } = {}) {
+    if (!this.attachedTabs.has(tabId)) {
+      await this.attachDebuggerToTab(tabId);
+    }
+    
+    // Move in a straight line from the last position so mouseover/mouseenter fire along the way
+    const from = this.mousePositions.get(tabId) || to;
+    const stepCount = from.x === to.x && from.y === to.y ? 1 : steps;
+    for (let step = 1; step <= stepCount; step++) {
+      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchMouseEvent', {
+        type: 'mouseMoved',
+        x: from.x + (to.x - from.x) * step / stepCount,
+        y: from.y + (to.y - from.y) * step / stepCount,
+        button: buttons ? 'left' : 'none',
+        buttons
+      });
+      if (step < stepCount) {
+        await this.humanPause(16);
+      }
+    }
+    this.mousePositions.set(tabId, to);
+  }
+  
+  async dispatchTrustedKey(tabId, definition) {
+    if (!this.attachedTabs.has(tabId)) {
+      await this.attachDebuggerToTab(tabId);
+    }
+    
+    const event = {
+      key: definition.key,
+      code: definition.code,
+      windowsVirtualKeyCode: definition.keyCode,
+      nativeVirtualKeyCode: definition.keyCode,
+      modifiers: definition.modifiers || 0
+    };
+    if (definition.commands) {
+      event.commands = definition.commands;
+    }
+    // keyDown with text also produces keypress and input; keys without text use rawKeyDown
+    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', definition.text
+      ? { ...event, type: 'keyDown', text: definition.text, unmodifiedText: definition.text }
+      : { ...event, type: 'rawKeyDown' });
+    delete event.commands;
+    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', { ...event, type: 'keyUp' });
+  }
+  
+  async dispatchTrustedTyping(tabId, text, keystrokeDelay) {
+    if (!this.attachedTabs.has(tabId)) {
+      await this.attachDebuggerToTab(tabId);
+    }
+    
+    // Iterates by code point so emoji and other astral characters stay whole
+    for (const character of text) {
+      const definition = getCharacterKeyDefinition(character);
+      if (definition) {
+        await this.dispatchTrustedKey(tabId, definition);
+      } else {
+        await chrome.debugger.sendCommand({ tabId }, 'Input.insertText', { text: character });
+      }
+      await this.humanPause(keystrokeDelay);
+    }
+  }
+  
+  async dispatchKeyChord(tabId, chord) {
+    if (!this.attachedTabs.has(tabId)) {
+      await this.attachDebuggerToTab(tabId);
+    }
+    
+    // Hold the modifiers down in order, press the key, then release them in reverse
+    let flags = 0;
+    for (const name of chord.modifiers) {
+      flags |= MODIFIER_FLAGS[name];
+      const [code, keyCode] = NAMED_KEYS[name];
+      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
+        type: 'rawKeyDown', key: name, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, modifiers: flags
+      });
+    }
+    
+    const command = navigator.userAgent.includes('Mac') ? MAC_EDITING_COMMANDS[chord.label.toLowerCase()] : null;
+    await this.dispatchTrustedKey(tabId, command ? { ...chord.definition, commands: [command] } : chord.definition);
+    
+    for (const name of [...chord.modifiers].reverse()) {
+      flags &= ~MODIFIER_FLAGS[name];
+      const [code, keyCode] = NAMED_KEYS[name];
+      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
+        type: 'keyUp', key: name, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, modifiers: flags
+      });
+    }
+  }
+  
+  // Find an element the way click_element does and return its centre in main-frame viewport coordinates
+  async locateElementPoint(tabId, { selector, text, ref, frameId, frameUrl }, scrollMode = 'center') {
+    let targetSelector = selector;
+    let refMarker = null;
+    
+    try {
+      // Accessibility refs always point into the main frame
+      if (ref) {
+        refMarker = await this.markAccessibilityRef(tabId, ref);
+        targetSelector = refMarker.selector;
+      }
+      const targetFrameId = ref ? null : await this.resolveFrameId(tabId, frameId, frameUrl);
+      const target = this.getScriptTarget(tabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (selectorParam, textParam, scrollModeParam) => {
+          const isVisible = (element) => {
+            const style = window.getComputedStyle(element);
+            const rect = element.getBoundingClientRect();
+            return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0' &&
+              rect.width > 0 && rect.height > 0;
+          };
+          
+          let element = null;
+          let method = '';
+          
+          if (selectorParam) {
+            try {
+              element = window.browserPilotSelectors.querySelectorAll(selectorParam).find(isVisible) || null;
+              method = `selector: ${selectorParam}`;
+            } catch (error) {
+              return { error: `Invalid selector "${selectorParam}": ${error.message}` };
+            }
+          }
+          
+          // Same candidates, in the same order, as click_element's text search
+          if (!element && textParam) {
+            const clickableSelectors = [
+              'button', 'a', '[onclick]', '[role="button"]',
+              'input[type="button"]', 'input[type="submit"]',
+              '.btn', '.button', '.link', '.nav-link',
+              'li', 'div[onclick]', 'span[onclick]'
+            ];
+            for (const candidateSelector of clickableSelectors) {
+              element = Array.from(document.querySelectorAll(candidateSelector)).find(candidate =>
+                (candidate.textContent || '').toLowerCase().includes(textParam.toLowerCase()) && isVisible(candidate)) || null;
+              if (element) {
+                method = `text: "${textParam}" in ${candidateSelector}`;
+                break;
+              }
+            }
+          }
+          
+          if (!element) {
+            return {
+              error: `No visible element found${selectorParam ? ` with selector "${selectorParam}"` : ''}${textParam ? ` containing text "${textParam}"` : ''}`
+            };
+          }
+          
+          element.scrollIntoView({ block: scrollModeParam, inline: scrollModeParam });
+          const rect = element.getBoundingClientRect();
+          const framePoint = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+          
+          // Report overlays that would receive the events instead, looking through shadow roots
+          let hit = document.elementFromPoint(framePoint.x, framePoint.y);
+          while (hit && hit.shadowRoot) {
+            const inner = hit.shadowRoot.elementFromPoint(framePoint.x, framePoint.y);
+            if (!inner || inner === hit) break;
+            hit = inner;
+          }
+          let current = hit;
+          while (current && current !== element) {
+            current = current.parentNode || current.host;
+          }
+          let obscuredBy = null;
+          if (hit && !current) {
+            const className = typeof hit.className === 'string' ? hit.className.trim().split(/\s+/)[0] : '';
+            obscuredBy = `${hit.tagName.toLowerCase()}${hit.id ? '#' + hit.id : ''}${className ? '.' + className : ''}`;
+          }
+          
+          return {
+            framePoint,
+            method,
+            elementTag: element.tagName.toLowerCase(),
+            elementText: (element.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 100),
+            draggable: !!element.closest('[draggable="true"]'),
+            obscuredBy
+          };
+        },
+        args: [targetSelector || null, text || null, scrollMode]
+      });
+      
+      const located = result[0].result;
+      if (located.error) {
+        throw new Error(located.error);
+      }
+      
+      const offset = targetFrameId ? await this.getFrameOffset(tabId, targetFrameId) : { x: 0, y: 0 };
+      return {
+        ...located,
+        frameId: targetFrameId || 0,
+        offset,
+        point: { x: located.framePoint.x + offset.x, y: located.framePoint.y + offset.y }
+      };
+    } finally {
+      if (refMarker) {
+        await this.unmarkAccessibilityRef(tabId, refMarker);
+      }
+    }
+  }
+  
+  async performMouseAction(action, params) {
+    const targetTabId = params.tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    // Lets callers look up tabs opened by this action via get_opened_tabs
+    const actionStartedAt = Date.now();
+    
+    try {
+      const located = await this.locateElementPoint(targetTabId, params);
+      const { x, y } = located.point;
+      
+      switch (action) {
+        case 'hover':
+          await this.dispatchMouseMove(targetTabId, located.point);
+          break;
+        case 'double_click':
+          await this.dispatchTrustedClick(targetTabId, x, y, { clickCount: 2 });
+          break;
+        case 'context_click':
+          await this.dispatchTrustedClick(targetTabId, x, y, { button: 'right' });
+          break;
+        default:
+          throw new Error(`Unknown mouse action: ${action}`);
+      }
+      
+      return {
+        tabId: targetTabId,
+        frameId: located.frameId,
+        action,
+        point: located.point,
+        method: located.method,
+        elementTag: located.elementTag,
+        elementText: located.elementText,
+        obscuredBy: located.obscuredBy,
+        actionStartedAt
+      };
+    } catch (error) {
+      throw new Error(`Failed to ${action.replace('_', ' ')}: ${error.message}`);
+    }
+  }
+  
+  async dragAndDrop(params) {
+    const { tabId, source = {}, target = {}, method = 'auto', steps = 15, frameId, frameUrl } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    
+    // Endpoints are elements (selector, text or ref) or main-frame viewport coordinates
+    const resolveEndpoint = async (endpoint, scrollMode) => {
+      if (typeof endpoint.x === 'number' && typeof endpoint.y === 'number') {
+        const endpointFrameId = await this.resolveFrameId(targetTabId, frameId, frameUrl);
+        const offset = endpointFrameId ? await this.getFrameOffset(targetTabId, endpointFrameId) : { x: 0, y: 0 };
+        return { point: { x: endpoint.x, y: endpoint.y }, frameId: endpointFrameId || 0, offset, coordinates: true };
+      }
+      return this.locateElementPoint(targetTabId, { ...endpoint, frameId, frameUrl }, scrollMode);
+    };
+    
+    try {
+      let from = await resolveEndpoint(source, 'center');
+      const to = await resolveEndpoint(target, 'nearest');
+      // Scrolling the target into view can move the source, so measure it again
+      if (!from.coordinates && !to.coordinates) {
+        from = await resolveEndpoint(source, 'nearest');
+      }
+      
+      const useHtml5 = method === 'html5' || (method === 'auto' && from.draggable);
+      let dropAccepted = null;
+      
+      if (useHtml5) {
+        // Synthesised mouse events do not start native HTML5 drags, so the drag events are fired in the page
+        if (from.frameId !== to.frameId) {
+          throw new Error('HTML5 drag and drop needs the source and target in the same frame. Use method "mouse" instead.');
+        }
+        const result = await chrome.scripting.executeScript({
+          target: this.getScriptTarget(targetTabId, from.frameId || null),
+          func: (sourcePoint, targetPoint) => {
+            const deepElementFromPoint = (point) => {
+              let hit = document.elementFromPoint(point.x, point.y);
+              while (hit && hit.shadowRoot) {
+                const inner = hit.shadowRoot.elementFromPoint(point.x, point.y);
+                if (!inner || inner === hit) break;
+                hit = inner;
+              }
+              return hit;
+            };
             
-            // Subtle green flash to show success
-            setTimeout(() => {
-              document.body.style.backgroundColor = 'rgba(0, 255, 0, 0.1)';
-              setTimeout(() => {
-                document.body.style.backgroundColor = originalBg;
-              }, 300);
-            }, 200);
+            const sourceHit = deepElementFromPoint(sourcePoint);
+            const sourceElement = sourceHit && (sourceHit.closest('[draggable="true"]') || sourceHit);
+            const targetElement = deepElementFromPoint(targetPoint);
+            if (!sourceElement || !targetElement) {
+              return { error: `No element at the ${sourceElement ? 'target' : 'source'} position` };
+            }
             
-            return {
-              success: true,
-              message: `Element found and clicked successfully via ${method}`,
-              elementText: (targetElement.textContent || targetElement.innerText || '').trim().substring(0, 100),
-              elementTag: targetElement.tagName.toLowerCase(),
-              selector: method.startsWith('selector:') ? selectorParam : null
-            };
-          } else {
-            console.log('Browser Pilot Extension: Target element NOT found');
+            const dataTransfer = new DataTransfer();
+            // dispatchEvent returns false when a handler calls preventDefault, which is how drop targets accept
+            const fire = (element, type, point) => element.dispatchEvent(new DragEvent(type, {
+              bubbles: true, cancelable: true, composed: true, clientX: point.x, clientY: point.y, dataTransfer
+            }));
             
-            // Subtle red flash to show failure
-            document.body.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
-            setTimeout(() => {
-              document.body.style.backgroundColor = originalBg;
-            }, 300);
+            fire(sourceElement, 'dragstart', sourcePoint);
+            fire(sourceElement, 'drag', sourcePoint);
+            fire(targetElement, 'dragenter', targetPoint);
+            const dropAllowed = !fire(targetElement, 'dragover', targetPoint);
+            const accepted = dropAllowed ? !fire(targetElement, 'drop', targetPoint) : false;
+            if (!dropAllowed) {
+              fire(targetElement, 'dragleave', targetPoint);
+            }
+            fire(sourceElement, 'dragend', targetPoint);
             
-            return {
-              success: false,
-              message: `No clickable element found${selectorParam ? ` with selector "${selectorParam}"` : ''}${textParam ? ` containing text "${textParam}"` : ''}`
-            };
+            return { dropAccepted: accepted };
+          },
+          args: [
+            { x: from.point.x - from.offset.x, y: from.point.y - from.offset.y },
+            { x: to.point.x - to.offset.x, y: to.point.y - to.offset.y }
+          ]
+        });
+        
+        if (result[0].result.error) {
+          throw new Error(result[0].result.error);
+        }
+        dropAccepted = result[0].result.dropAccepted;
+      } else {
+        if (!this.attachedTabs.has(targetTabId)) {
+          await this.attachDebuggerToTab(targetTabId);
+        }
+        const press = (type, point, buttons) => chrome.debugger.sendCommand({ tabId: targetTabId }, 'Input.dispatchMouseEvent', {
+          type, x: point.x, y: point.y, button: 'left', buttons, clickCount: 1
+        });
+        
+        await this.dispatchMouseMove(targetTabId, from.point);
+        await press('mousePressed', from.point, 1);
+        await this.humanPause(100);
+        // A short first move gets past the drag threshold most drag libraries wait for
+        await this.dispatchMouseMove(targetTabId, { x: from.point.x + 6, y: from.point.y + 6 }, { steps: 2, buttons: 1 });
+        await this.dispatchMouseMove(targetTabId, to.point, { steps, buttons: 1 });
+        await this.humanPause(100);
+        await press('mouseReleased', to.point, 0);
+      }
+      
+      const describe = (endpoint) => ({
+        point: endpoint.point,
+        method: endpoint.coordinates ? 'coordinates' : endpoint.method,
+        elementTag: endpoint.elementTag || null,
+        elementText: endpoint.elementText || null,
+        obscuredBy: endpoint.obscuredBy || null
+      });
+      
+      return {
+        tabId: targetTabId,
+        frameId: from.frameId,
+        method: useHtml5 ? 'html5' : 'mouse',
+        source: describe(from),
+        target: describe(to),
+        dropAccepted
+      };
+    } catch (error) {
+      throw new Error(`Failed to drag and drop: ${error.message}`);
+    }
+  }
+  
+  async setFieldValue(params) {
+    const { tabId, selector, label, ref, value, by = 'auto', frameId, frameUrl } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    let fieldSelector = selector;
+    let refMarker = null;
+    
+    try {
+      // Accessibility refs always point into the main frame
+      if (ref) {
+        refMarker = await this.markAccessibilityRef(targetTabId, ref);
+        fieldSelector = refMarker.selector;
+      }
+      const targetFrameId = ref ? null : await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      await this.injectPageExtractor(target);
+      await this.injectFormControls(target);
+      
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (fieldOptions, valueParam, byParam) => {
+          try {
+            const field = window.browserPilotForms.findField(fieldOptions);
+            return window.browserPilotForms.setFieldValue(field, valueParam, { by: byParam });
+          } catch (error) {
+            return { error: error.message };
           }
         },
-        args: [selector || null, text || null]
+        args: [{ selector: fieldSelector || null, label: label || null }, value, by]
       });
       
       const scriptResult = result[0].result;
-      console.log('Element click result:', scriptResult);
-      return scriptResult;
+      if (scriptResult.error) {
+        throw new Error(scriptResult.error);
+      }
+      
+      return { ...scriptResult, tabId: targetTabId, frameId: targetFrameId || 0, ref: ref || null };
       
     } catch (error) {
-      console.error('Failed to execute element click:', error);
-      return { 
-        success: false, 
-        error: `Failed to execute element click: ${error.message}` 
-      };
+      throw new Error(`Failed to set field value: ${error.message}`);
+    } finally {
+      if (refMarker) {
+        await this.unmarkAccessibilityRef(targetTabId, refMarker);
+      }
     }
   }
-
-  async typeTextInElement(params) {
-    const { tabId, selector, text, textToType, clearFirst = true, submit = false } = params;
+  
+  async fillForm(params) {
+    const { tabId, fields, formSelector, submit = false, submitSelector, by = 'auto', frameId, frameUrl } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    // Lets callers look up tabs opened by submitting via get_opened_tabs
+    const actionStartedAt = Date.now();
+    
+    try {
+      const targetFrameId = await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      await this.injectSelectorEngine(target);
+      await this.injectPageExtractor(target);
+      await this.injectFormControls(target);
+      
+      const result = await chrome.scripting.executeScript({
+        target,
+        func: (fieldsParam, options) => {
+          try {
+            return window.browserPilotForms.fillForm(fieldsParam, options);
+          } catch (error) {
+            return { error: error.message };
+          }
+        },
+        args: [fields, { formSelector: formSelector || null, submit, submitSelector: submitSelector || null, by }]
+      });
+      
+      const scriptResult = result[0].result;
+      if (scriptResult.error) {
+        throw new Error(scriptResult.error);
+      }
+      
+      return { ...scriptResult, tabId: targetTabId, frameId: targetFrameId || 0, actionStartedAt };
+      
+    } catch (error) {
+      throw new Error(`Failed to fill form: ${error.message}`);
+    }
+  }
+  
+  async pressKeys(params) {
+    const { tabId, keys, selector, ref, frameId, frameUrl, delay = 50 } = params;
     const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    // Parse everything up front so a typo does not leave half the keys pressed
+    const chords = keys.map(parseKeyChord);
+    let refMarker = null;
     
     try {
+      let targetSelector = selector;
+      // Accessibility refs always point into the main frame
+      if (ref) {
+        refMarker = await this.markAccessibilityRef(targetTabId, ref);
+        targetSelector = refMarker.selector;
+      }
+      const targetFrameId = ref ? null : await this.resolveFrameId(targetTabId, frameId, frameUrl);
+      const target = this.getScriptTarget(targetTabId, targetFrameId);
+      
+      if (targetSelector) {
+        await this.injectSelectorEngine(target);
+        const focusResult = await chrome.scripting.executeScript({
+          target,
+          func: (selectorParam) => {
+            const element = window.browserPilotSelectors.querySelector(selectorParam);
+            if (!element) {
+              return { error: `No element found matching selector: ${selectorParam}` };
+            }
+            element.scrollIntoView({ block: 'center', inline: 'center' });
+            element.focus();
+            return { success: true };
+          },
+          args: [targetSelector]
+        });
+        if (focusResult[0].result.error) {
+          throw new Error(focusResult[0].result.error);
+        }
+      } else if (targetFrameId) {
+        // Key events go to the focused frame, so focus the target frame's document first
+        await chrome.scripting.executeScript({ target, func: () => window.focus() });
+      }
+      
+      for (let index = 0; index < chords.length; index++) {
+        await this.dispatchKeyChord(targetTabId, chords[index]);
+        if (index < chords.length - 1) {
+          await this.humanPause(delay);
+        }
+      }
+      
+      // Report where focus ended up, e.g. after Tab or Escape. Keys such as Enter may have
+      // started a navigation, in which case there is nothing to report.
+      let focusedElement = null;
+      try {
+        const focusResult = await chrome.scripting.executeScript({
+          target,
+          func: () => {
+            let element = document.activeElement;
+            while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+              element = element.shadowRoot.activeElement;
+            }
+            if (!element || element === document.body) {
+              return null;
+            }
+            const label = element.getAttribute('aria-label') || element.getAttribute('placeholder') ||
+              (element.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 50);
+            const name = element.getAttribute('name');
+            return `${element.tagName.toLowerCase()}${element.id ? '#' + element.id : ''}${name ? `[name="${name}"]` : ''}${label ? ` "${label}"` : ''}`;
+          }
+        });
+        focusedElement = focusResult[0].result;
+      } catch (error) {
+        console.log('Could not read focused element after key presses:', error.message);
+      }
+      
+      return {
+        tabId: targetTabId,
+        frameId: targetFrameId || 0,
+        keys: chords.map(chord => chord.label),
+        selector: selector || null,
+        ref: ref || null,
+        focusedElement
+      };
+      
+    } catch (error) {
+      throw new Error(`Failed to press keys: ${error.message}`);
+    } finally {
+      if (refMarker) {
+        await this.unmarkAccessibilityRef(targetTabId, refMarker);
+      }
+    }
+  }
+  
+  // Sleep for about the given time, jittered by ±50% so input timing is not uniform
+  humanPause(milliseconds) {
+    const duration = milliseconds * (0.5 + Math.random());
+    return new Promise(resolve => setTimeout(resolve, duration));
+  }
+  
+  async waitFor(params) {
+    const {
+      tabId,
+      condition,
+      selector,
+      text,
+      urlPattern,
+      patternType = 'substring',
+      expression,
+      timeout = 10000,
+      pollInterval = 100
+    } = params;
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0].id;
+    const startTime = Date.now();
+    
+    if (['selector_present', 'selector_absent', 'visible', 'enabled'].includes(condition) && !selector) {
+      throw new Error(`selector is required for the ${condition} condition`);
+    }
+    if (condition === 'text' && !text) {
+      throw new Error('text is required for the text condition');
+    }
+    if (condition === 'url' && !urlPattern) {
+      throw new Error('urlPattern is required for the url condition');
+    }
+    if (condition === 'expression' && !expression) {
+      throw new Error('expression is required for the expression condition');
+    }
+    
+    let matchesUrl = null;
+    if (condition === 'url') {
+      if (patternType === 'substring') {
+        matchesUrl = url => url.includes(urlPattern);
+      } else {
+        const matcher = this.compileRoutePattern(urlPattern, patternType);
+        matchesUrl = url => matcher.test(url);
+      }
+    }
+    
+    // Evaluate the condition once, returning whether it holds and what was observed
+    const check = async () => {
+      if (condition === 'url') {
+        const tab = await chrome.tabs.get(targetTabId);
+        return { satisfied: matchesUrl(tab.url), state: { url: tab.url } };
+      }
+      
+      if (condition === 'expression') {
+        // Runtime.evaluate is not subject to the page's CSP, unlike injected eval
+        if (!this.attachedTabs.has(targetTabId)) {
+          await this.attachDebuggerToTab(targetTabId);
+        }
+        // A promise that never settles would otherwise block the poll loop past the timeout
+        const remaining = Math.max(timeout - (Date.now() - startTime), 1);
+        let timer = null;
+        const evaluation = await Promise.race([
+          chrome.debugger.sendCommand({ tabId: targetTabId }, 'Runtime.evaluate', {
+            expression,
+            returnByValue: true,
+            awaitPromise: true,
+            timeout: remaining
+          }),
+          new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), remaining);
+          })
+        ]).finally(() => clearTimeout(timer));
+        if (!evaluation) {
+          return { satisfied: false, state: { error: `Expression did not settle within ${remaining}ms` } };
+        }
+        if (evaluation.exceptionDetails) {
+          const exception = evaluation.exceptionDetails.exception;
+          return {
+            satisfied: false,
+            state: { error: (exception && exception.description) || evaluation.exceptionDetails.text }
+          };
+        }
+        const { value, description, type } = evaluation.result;
+        const preview = value !== undefined ? JSON.stringify(value) : (description || type);
+        return {
+          satisfied: !!value,
+          state: { value: preview === undefined ? 'undefined' : String(preview).substring(0, 500) }
+        };
+      }
+      
+      await this.injectSelectorEngine({ tabId: targetTabId });
       const result = await chrome.scripting.executeScript({
         target: { tabId: targetTabId },
-        func: (selectorParam, textParam, textToTypeParam, clearFirstParam, submitParam) => {
-          console.log('=== Browser Pilot Extension: Starting text input ===');
-          console.log('Selector:', selectorParam, 'Text:', textParam, 'TextToType:', textToTypeParam);
-          
-          // Subtle background flash to show we're running
-          const originalBg = document.body.style.backgroundColor;
-          document.body.style.backgroundColor = 'rgba(0, 0, 255, 0.1)';
-          
-          let targetElement = null;
-          let method = '';
+        func: (conditionParam, selectorParam, textParam) => {
+          const isVisible = (element) => {
+            const style = window.getComputedStyle(element);
+            return style.display !== 'none' &&
+              style.visibility !== 'hidden' &&
+              style.opacity !== '0' &&
+              element.offsetWidth > 0 &&
+              element.offsetHeight > 0;
+          };
+          const isEnabled = (element) => !element.disabled &&
+            !element.closest('fieldset[disabled]') &&
+            element.getAttribute('aria-disabled') !== 'true';
+          const describe = (element) => element ? {
+            tag: element.tagName.toLowerCase(),
+            id: element.id || null,
+            text: (element.innerText || element.textContent || '').trim().substring(0, 100),
+            visible: isVisible(element),
+            enabled: isEnabled(element)
+          } : null;
           
-          // First try selector if provided
+          let elements = [];
           if (selectorParam) {
             try {
-              const elements = document.querySelectorAll(selectorParam);
-              for (const element of elements) {
-                const style = window.getComputedStyle(element);
-                if (style.display !== 'none' && 
-                    style.visibility !== 'hidden' && 
-                    style.opacity !== '0' &&
-                    element.offsetWidth > 0 && 
-                    element.offsetHeight > 0) {
-                  targetElement = element;
-                  method = `selector: ${selectorParam}`;
-                  break;
-                }
-              }
+              elements = window.browserPilotSelectors.querySelectorAll(selectorParam);
             } catch (error) {
-              console.log('Invalid selector:', selectorParam);
+              return { error: `Invalid selector "${selectorParam}": ${error.message}` };
             }
           }
           
-          // Then try text search if no element found and text provided
-          if (!targetElement && textParam) {
-            const inputSelectors = [
-              'input[type="text"]', 'input[type="email"]', 'input[type="password"]',
-              'input[type="search"]', 'input[type="url"]', 'input[type="tel"]',
-              'input:not([type])', 'textarea', '[contenteditable="true"]',
-              '.input', '.form-control', '[role="textbox"]'
-            ];
-            
-            for (const sel of inputSelectors) {
-              const elements = document.querySelectorAll(sel);
-              for (const element of elements) {
-                const elementText = element.placeholder || element.getAttribute('aria-label') || element.textContent || '';
-                const style = window.getComputedStyle(element);
-                if (elementText.toLowerCase().includes(textParam.toLowerCase()) &&
-                    style.display !== 'none' && 
-                    style.visibility !== 'hidden' && 
-                    style.opacity !== '0' &&
-                    element.offsetWidth > 0 && 
-                    element.offsetHeight > 0) {
-                  targetElement = element;
-                  method = `text: "${textParam}" in ${sel}`;
-                  break;
-                }
-              }
-              if (targetElement) break;
+          switch (conditionParam) {
+            case 'selector_present':
+              return { satisfied: elements.length > 0, state: { matchCount: elements.length, firstMatch: describe(elements[0]) } };
+            case 'selector_absent':
+              return { satisfied: elements.length === 0, state: { matchCount: elements.length, firstMatch: describe(elements[0]) } };
+            case 'visible': {
+              const visibleElement = elements.find(isVisible);
+              return {
+                satisfied: !!visibleElement,
+                state: { matchCount: elements.length, firstMatch: describe(visibleElement || elements[0]) }
+              };
             }
-          }
-          
-          if (targetElement) {
-            console.log('Browser Pilot Extension: Found target input element:', targetElement);
-            console.log('Browser Pilot Extension: Method:', method);
-            console.log('Browser Pilot Extension: About to type text...');
-            
-            // Focus the element first
-            targetElement.focus();
-            
-            // Clear existing text if requested
-            if (clearFirstParam) {
-              targetElement.value = '';
+            case 'enabled': {
+              const enabledElement = elements.find(element => isVisible(element) && isEnabled(element));
+              return {
+                satisfied: !!enabledElement,
+                state: { matchCount: elements.length, firstMatch: describe(enabledElement || elements[0]) }
+              };
             }
-            
-            // Set the text value
-            targetElement.value = textToTypeParam;
-            
-            // Trigger input events to notify frameworks like React/Angular
-            const inputEvent = new Event('input', { bubbles: true });
-            const changeEvent = new Event('change', { bubbles: true });
-            targetElement.dispatchEvent(inputEvent);
-            targetElement.dispatchEvent(changeEvent);
-            
-            // Submit if requested (press Enter)
-            if (submitParam) {
-              const keydownEvent = new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                bubbles: true
-              });
-              const keyupEvent = new KeyboardEvent('keyup', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                bubbles: true
-              });
-              targetElement.dispatchEvent(keydownEvent);
-              targetElement.dispatchEvent(keyupEvent);
+            case 'text': {
+              const scopes = selectorParam ? elements : [document.body];
+              const match = scopes.find(scope => scope && (scope.innerText || scope.textContent || '').includes(textParam));
+              const observed = match || scopes[0];
+              return {
+                satisfied: !!match,
+                state: {
+                  matchCount: selectorParam ? elements.length : undefined,
+                  textExcerpt: observed ? (observed.innerText || observed.textContent || '').trim().substring(0, 200) : null
+                }
+              };
             }
-            
-            console.log('Browser Pilot Extension: Text input completed - SUCCESS!');
-            
-            // Subtle green flash to show success
-            setTimeout(() => {
-              document.body.style.backgroundColor = 'rgba(0, 255, 0, 0.1)';
-              setTimeout(() => {
-                document.body.style.backgroundColor = originalBg;
-              }, 300);
-            }, 200);
-            
-            return {
-              success: true,
-              message: `Text "${textToTypeParam}" entered successfully via ${method}`,
-              elementType: targetElement.tagName.toLowerCase(),
-              elementPlaceholder: targetElement.placeholder || '',
-              selector: method.startsWith('selector:') ? selectorParam : null,
-              submitted: submitParam
-            };
-          } else {
-            console.log('Browser Pilot Extension: Target input element NOT found');
-            
-            // Subtle red flash to show failure
-            document.body.style.backgroundColor = 'rgba(255, 0, 0, 0.1)';
-            setTimeout(() => {
-              document.body.style.backgroundColor = originalBg;
-            }, 300);
-            
-            return {
-              success: false,
-              message: `No input element found${selectorParam ? ` with selector "${selectorParam}"` : ''}${textParam ? ` containing text "${textParam}"` : ''}`
-            };
+            default:
+              return { error: `Unknown condition: ${conditionParam}` };
           }
         },
-        args: [selector || null, text || null, textToType, clearFirst, submit]
+        args: [condition, selector || null, text || null]
       });
       
-      const scriptResult = result[0].result;
-      console.log('Text input result:', scriptResult);
-      return scriptResult;
+      const probe = result[0].result;
+      if (probe && probe.error) {
+        throw new Error(probe.error);
+      }
+      return probe;
+    };
+    
+    let lastState = null;
+    while (true) {
+      try {
+        const { satisfied, state } = await check();
+        lastState = state;
+        if (satisfied) {
+          return { tabId: targetTabId, condition, satisfied: true, elapsedMs: Date.now() - startTime, state };
+        }
+      } catch (error) {
+        // Invalid input will never succeed, so stop straight away
+        if (/^(Invalid selector|Unknown condition)/.test(error.message)) {
+          throw error;
+        }
+        // The page may be mid-navigation; keep polling until the timeout
+        lastState = { error: error.message };
+      }
       
-    } catch (error) {
-      console.error('Failed to execute text input:', error);
-      return { 
-        success: false, 
-        error: `Failed to execute text input: ${error.message}` 
-      };
+      const elapsedMs = Date.now() - startTime;
+      if (elapsedMs >= timeout) {
+        return { tabId: targetTabId, condition, satisfied: false, timedOut: true, elapsedMs, state: lastState };
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, Math.min(pollInterval, timeout - elapsedMs)));
     }
   }
 
@@ -0,0 +1,454 @@
+// Browser Pilot - Form Controls
+// Injected into the extension's isolated world after the selector engine and page extractor.
+// Finds form fields by selector or label and sets selects, checkboxes, radios, sliders,
+// date/time and text fields the way a user would, firing the events framework bindings listen for.
+
+(() => {
+  if (window.browserPilotForms) {
+    return;
+  }
+
+  const FIELD_SELECTOR = 'input:not([type="hidden"]), select, textarea, [contenteditable=""], [contenteditable="true"]';
+  // Shown when the browser rejects a value for one of these input types
+  const VALUE_FORMATS = {
+    date: 'YYYY-MM-DD',
+    time: 'HH:MM or HH:MM:SS',
+    'datetime-local': 'YYYY-MM-DDTHH:MM',
+    month: 'YYYY-MM',
+    week: 'YYYY-Www',
+    color: '#rrggbb',
+    number: 'a number',
+    range: 'a number'
+  };
+  const TRUE_WORDS = new Set(['true', 'on', 'yes', 'checked', '1']);
+  const FALSE_WORDS = new Set(['false', 'off', 'no', 'unchecked', '0']);
+  const MAX_LISTED_OPTIONS = 20;
+
+  function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function fieldType(field) {
+    switch (field.tagName) {
+      case 'SELECT':
+        return field.multiple ? 'select-multiple' : 'select';
+      case 'TEXTAREA':
+        return 'textarea';
+      case 'INPUT':
+        return field.type;
+      default:
+        return 'contenteditable';
+    }
+  }
+
+  function isVisible(element) {
+    return element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+  }
+
+  // Legend or ARIA label of the group a checkbox or radio belongs to, e.g. "Shipping speed"
+  function groupLabel(field) {
+    const fieldset = field.closest('fieldset');
+    const legend = fieldset && fieldset.querySelector('legend');
+    if (legend) {
+      return cleanText(legend.textContent);
+    }
+    const group = field.closest('[role="radiogroup"], [role="group"]');
+    if (!group) {
+      return null;
+    }
+    const labelledBy = group.getAttribute('aria-labelledby');
+    const root = group.getRootNode();
+    if (labelledBy && root.getElementById) {
+      return cleanText(labelledBy.split(/\s+/).map(id => root.getElementById(id)?.textContent || '').join(' '));
+    }
+    return group.getAttribute('aria-label');
+  }
+
+  function optionLabel(option) {
+    return cleanText(option.label || option.textContent);
+  }
+
+  function radioGroup(radio) {
+    if (!radio.name) {
+      return [radio];
+    }
+    const candidates = radio.form
+      ? Array.from(radio.form.elements)
+      : Array.from(radio.getRootNode().querySelectorAll('input[type="radio"]')).filter(other => !other.form);
+    return candidates.filter(other => other.type === 'radio' && other.name === radio.name);
+  }
+
+  /**
+   * Find a field by selector, or by label text, name, id or placeholder. A selector may also
+   * point at a label or a wrapper such as a radio group, which stands for the first field inside.
+   * Exact label matches win over partial ones, and visible fields over hidden ones. A partial
+   * match that fits several fields is an error listing them, rather than a guess. Searches
+   * stay inside scope when given, and skip fields in exclude.
+   */
+  function findField({ selector, label, scope = document, exclude = new Set() }) {
+    if (selector) {
+      const element = window.browserPilotSelectors.querySelector(selector, scope);
+      if (!element) {
+        throw new Error(`No element found with selector "${selector}"`);
+      }
+      if (element.matches(FIELD_SELECTOR)) {
+        return element;
+      }
+      const inner = (element.tagName === 'LABEL' && element.control) || element.querySelector(FIELD_SELECTOR);
+      if (!inner) {
+        throw new Error(`Element matching "${selector}" is not a form field`);
+      }
+      return inner;
+    }
+
+    const needle = cleanText(label).toLowerCase();
+    const fields = window.browserPilotSelectors.querySelectorAll(`>>> ${FIELD_SELECTOR}`, scope)
+      .filter(field => !exclude.has(field));
+    fields.sort((a, b) => Number(isVisible(b)) - Number(isVisible(a)));
+
+    const names = fields.map(field => {
+      const checkable = field.type === 'checkbox' || field.type === 'radio';
+      return [
+        window.browserPilotExtractor.fieldLabel(field),
+        field.getAttribute('name'),
+        field.id,
+        field.getAttribute('placeholder'),
+        checkable ? groupLabel(field) : null
+      ].filter(Boolean).map(text => cleanText(text).toLowerCase());
+    });
+
+    const exactIndex = names.findIndex(candidates => candidates.includes(needle));
+    if (exactIndex !== -1) {
+      return fields[exactIndex];
+    }
+
+    // The radios of one group count as a single field
+    const partial = [];
+    fields.forEach((field, index) => {
+      const sameGroup = field.type === 'radio' && partial.some(other =>
+        other.type === 'radio' && other.name && other.name === field.name && other.form === field.form);
+      if (!sameGroup && names[index].some(text => text.includes(needle))) {
+        partial.push(field);
+      }
+    });
+    const visible = partial.filter(isVisible);
+    const candidates = visible.length > 0 ? visible : partial;
+
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+    if (candidates.length > 1) {
+      const described = candidates.map(field => {
+        const name = window.browserPilotExtractor.fieldLabel(field) || field.getAttribute('name') || field.id || field.getAttribute('placeholder');
+        return `"${cleanText(name)}" (${fieldType(field)})`;
+      });
+      throw new Error(`"${label}" matches ${candidates.length} fields: ${listChoices(described)}. Use the full label or a selector`);
+    }
+    throw new Error(`No form field found with label, name or placeholder "${label}"`);
+  }
+
+  function readValue(field) {
+    switch (fieldType(field)) {
+      case 'select-multiple':
+        return Array.from(field.selectedOptions).map(option => option.value);
+      case 'checkbox':
+        return field.checked;
+      case 'radio': {
+        const checked = radioGroup(field).find(radio => radio.checked);
+        return checked ? checked.value : null;
+      }
+      case 'password':
+        return field.value ? '••••••' : '';
+      case 'contenteditable':
+        return cleanText(field.textContent);
+      default:
+        return field.value;
+    }
+  }
+
+  function fireInputEvents(field) {
+    field.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // Use the prototype setter so value trackers in frameworks such as React register the change
+  function setNativeValue(field, value) {
+    const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(field), 'value');
+    if (descriptor && descriptor.set) {
+      descriptor.set.call(field, value);
+    } else {
+      field.value = value;
+    }
+  }
+
+  function toBoolean(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const word = String(value).trim().toLowerCase();
+    if (TRUE_WORDS.has(word)) {
+      return true;
+    }
+    if (FALSE_WORDS.has(word)) {
+      return false;
+    }
+    throw new Error(`Checkbox value must be true or false, got "${value}"`);
+  }
+
+  function listChoices(choices) {
+    const listed = choices.slice(0, MAX_LISTED_OPTIONS).join(', ');
+    return choices.length > MAX_LISTED_OPTIONS ? `${listed}, … (${choices.length} in total)` : listed;
+  }
+
+  function findOption(options, item, by) {
+    if (by === 'index') {
+      const index = Number(item);
+      return Number.isInteger(index) ? options[index] : undefined;
+    }
+
+    const text = cleanText(String(item));
+    const byValue = () => options.find(option => option.value === String(item));
+    const byLabel = () => options.find(option => optionLabel(option) === text) ||
+      options.find(option => optionLabel(option).toLowerCase() === text.toLowerCase());
+
+    if (by === 'value') {
+      return byValue();
+    }
+    if (by === 'label') {
+      return byLabel();
+    }
+    return byValue() || byLabel();
+  }
+
+  function selectOptions(select, value, by) {
+    const wanted = Array.isArray(value) ? value : [value];
+    if (!select.multiple && wanted.length !== 1) {
+      throw new Error('Only one option can be chosen in a single select');
+    }
+
+    const options = Array.from(select.options);
+    const chosen = wanted.map(item => {
+      const option = findOption(options, item, by);
+      if (!option) {
+        const choices = options.map((option, index) => by === 'index'
+          ? `${index}: ${optionLabel(option)}`
+          : `"${optionLabel(option)}"${option.value !== optionLabel(option) ? ` (value "${option.value}")` : ''}`);
+        throw new Error(`No option matching ${by === 'auto' ? '' : `${by} `}"${item}". Options: ${listChoices(choices)}`);
+      }
+      if (option.disabled) {
+        throw new Error(`Option "${optionLabel(option)}" is disabled`);
+      }
+      return option;
+    });
+
+    options.forEach(option => {
+      option.selected = chosen.includes(option);
+    });
+    fireInputEvents(select);
+  }
+
+  // Clicking fires click, input and change the way a user's click does, and respects handlers that cancel it
+  function clickToState(input, checked) {
+    if (input.checked !== checked) {
+      input.click();
+    }
+    if (input.checked !== checked) {
+      throw new Error(`The page prevented the ${input.type} from being ${checked ? 'checked' : 'unchecked'}`);
+    }
+  }
+
+  function chooseRadio(radio, value) {
+    if (typeof value === 'boolean') {
+      if (!value) {
+        throw new Error('A radio button cannot be unchecked; choose another option in its group instead');
+      }
+      clickToState(radio, true);
+      return radio;
+    }
+
+    const group = radioGroup(radio);
+    const text = cleanText(String(value)).toLowerCase();
+    const labelOf = input => cleanText(window.browserPilotExtractor.fieldLabel(input) || '').toLowerCase();
+    const target = group.find(input => input.value === String(value)) ||
+      group.find(input => labelOf(input) === text) ||
+      group.find(input => labelOf(input).includes(text));
+
+    if (!target) {
+      const choices = group.map(input => `"${window.browserPilotExtractor.fieldLabel(input) || input.value}"${input.value ? ` (value "${input.value}")` : ''}`);
+      throw new Error(`No radio option matching "${value}". Options: ${listChoices(choices)}`);
+    }
+    if (target.disabled) {
+      throw new Error(`Radio option "${value}" is disabled`);
+    }
+    clickToState(target, true);
+    return target;
+  }
+
+  function setInputValue(field, value) {
+    const type = fieldType(field);
+    const text = String(value);
+    const previous = field.value;
+
+    setNativeValue(field, text);
+    // The browser sanitises values it cannot parse to an empty string
+    if (text !== '' && field.value === '') {
+      setNativeValue(field, previous);
+      throw new Error(`Invalid ${type} value "${text}"${VALUE_FORMATS[type] ? `; expected ${VALUE_FORMATS[type]}` : ''}`);
+    }
+    fireInputEvents(field);
+  }
+
+  /**
+   * Set a field's value and fire the events a user's change would. Selects take an option
+   * value, label or index (an array for multi-selects); checkboxes take true or false; radios
+   * take the value or label of the option to choose; other inputs take their value as text.
+   */
+  function setFieldValue(field, value, { by = 'auto' } = {}) {
+    const type = fieldType(field);
+    if (field.disabled) {
+      throw new Error(`The ${type} field is disabled`);
+    }
+    if (field.readOnly) {
+      throw new Error(`The ${type} field is read-only`);
+    }
+    if (type === 'file') {
+      throw new Error('File inputs cannot be set from a script');
+    }
+    if (Array.isArray(value) && type !== 'select-multiple') {
+      throw new Error(`A list of values is only accepted by multi-selects, not ${type} fields`);
+    }
+
+    const previousValue = readValue(field);
+    let target = field;
+    field.focus();
+
+    switch (type) {
+      case 'select':
+      case 'select-multiple':
+        selectOptions(field, value, by);
+        break;
+      case 'checkbox':
+        clickToState(field, toBoolean(value));
+        break;
+      case 'radio':
+        target = chooseRadio(field, value);
+        break;
+      case 'contenteditable':
+        field.textContent = String(value);
+        field.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertText', data: String(value) }));
+        break;
+      default:
+        setInputValue(field, value);
+    }
+
+    const result = {
+      type,
+      name: target.getAttribute('name'),
+      label: window.browserPilotExtractor.fieldLabel(target) || (type === 'radio' ? groupLabel(target) : null),
+      selector: window.browserPilotExtractor.uniqueSelector(target),
+      previousValue,
+      value: readValue(target)
+    };
+    if (type === 'select' || type === 'select-multiple') {
+      result.selectedText = Array.from(field.selectedOptions).map(optionLabel);
+    }
+    // Sliders and number fields snap to their min, max and step
+    if ((type === 'range' || type === 'number') && Number(value) !== Number(result.value)) {
+      result.adjusted = true;
+    }
+    return result;
+  }
+
+  function buttonText(button) {
+    return cleanText(button.textContent || button.value || button.getAttribute('aria-label')) || null;
+  }
+
+  // Click the form's submit button like a user would, falling back to requestSubmit() so validation still runs
+  function submitForm(form, submitSelector, scope) {
+    if (submitSelector) {
+      const button = window.browserPilotSelectors.querySelector(submitSelector, scope);
+      if (!button) {
+        throw new Error(`No submit button found with selector "${submitSelector}"`);
+      }
+      button.click();
+      return { method: 'button', button: buttonText(button) };
+    }
+
+    if (!form) {
+      throw new Error('The fields are not inside a form; pass submitSelector to click a submit button');
+    }
+    const button = Array.from(form.elements).find(element =>
+      (element.tagName === 'BUTTON' || element.tagName === 'INPUT') && element.type === 'submit' && !element.disabled);
+    if (button) {
+      button.click();
+      return { method: 'button', button: buttonText(button) };
+    }
+    form.requestSubmit();
+    return { method: 'requestSubmit', button: null };
+  }
+
+  /**
+   * Fill several fields from a map of label, name or selector to value. Each key is tried as a
+   * label first and then as a selector. Failures are reported per field rather than stopping the
+   * fill, and the form is only submitted when every field was set.
+   */
+  function fillForm(fields, { formSelector = null, submit = false, submitSelector = null, by = 'auto' } = {}) {
+    let scope = document;
+    if (formSelector) {
+      scope = window.browserPilotSelectors.querySelector(formSelector);
+      if (!scope) {
+        throw new Error(`No form found with selector "${formSelector}"`);
+      }
+    }
+
+    const used = new Set();
+    const results = Object.entries(fields).map(([key, value]) => {
+      try {
+        let field;
+        try {
+          field = findField({ label: key, scope, exclude: used });
+        } catch (labelError) {
+          try {
+            field = findField({ selector: key, scope });
+          } catch (selectorError) {
+            // Report the label error unless the key was clearly meant as a selector
+            throw /^[#.\[]|>>>/.test(key) ? selectorError : labelError;
+          }
+        }
+        used.add(field);
+
+        const result = setFieldValue(field, value, { by });
+        if (field.validity && !field.validity.valid) {
+          result.validationMessage = field.validationMessage;
+        }
+        return { key, success: true, ...result };
+      } catch (error) {
+        return { key, success: false, error: error.message };
+      }
+    });
+
+    const report = { results, submitted: false };
+    if (submit) {
+      const failed = results.filter(result => !result.success).length;
+      if (failed > 0) {
+        report.submitError = `Not submitted because ${failed} field${failed === 1 ? '' : 's'} could not be set`;
+      } else {
+        const filled = Array.from(used);
+        const form = scope instanceof HTMLFormElement ? scope : (filled.find(field => field.form) || {}).form || null;
+        try {
+          report.submission = submitForm(form, submitSelector, scope);
+          report.submitted = true;
+        } catch (error) {
+          report.submitError = error.message;
+        }
+      }
+    }
+    return report;
+  }
+
+  window.browserPilotForms = {
+    findField,
+    setFieldValue,
+    fillForm
+  };
+})();
@@ -0,0 +1,808 @@
+// Browser Pilot - Page Extractor
+// Injected into the extension's isolated world after the selector engine.
+// Converts readable page content into Markdown, dropping navigation and other boilerplate;
+// extracts tables, forms, links and metadata as structured data, and captures DOM trees for diffing.
+
+(() => {
+  if (window.browserPilotExtractor) {
+    return;
+  }
+
+  const SKIPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'frame',
+    'object', 'embed', 'head', 'link', 'meta', 'button', 'input', 'select', 'textarea'
+  ]);
+  const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'dialog']);
+  const BOILERPLATE_ROLES = new Set([
+    'navigation', 'banner', 'contentinfo', 'complementary', 'search',
+    'dialog', 'alertdialog', 'menu', 'menubar', 'toolbar'
+  ]);
+  // Matched against the words of an element's id and class names
+  const BOILERPLATE_WORDS = new Set([
+    'cookie', 'cookies', 'consent', 'gdpr', 'newsletter', 'subscribe', 'popup', 'modal', 'overlay',
+    'advert', 'advertisement', 'ad', 'ads', 'sponsor', 'sponsored', 'promo', 'share', 'sharing',
+    'social', 'breadcrumb', 'breadcrumbs', 'related', 'recommended', 'comments', 'sidebar', 'skip'
+  ]);
+  const BLOCK_TAGS = new Set([
+    'div', 'section', 'article', 'main', 'header', 'footer', 'address', 'figure', 'details',
+    'summary', 'fieldset', 'form', 'center', 'hgroup', 'body', 'html'
+  ]);
+
+  // Placeholders that survive whitespace normalisation
+  const INDENT = '\u0000';
+  const PRESERVED = '\u0001';
+
+  function isHidden(element) {
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    const style = getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  function hasBoilerplateName(element) {
+    const names = `${element.id} ${element.getAttribute('class') || ''}`
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/);
+    return names.some(name => BOILERPLATE_WORDS.has(name));
+  }
+
+  function isBoilerplate(element, tagName) {
+    if (BOILERPLATE_TAGS.has(tagName) || BOILERPLATE_ROLES.has(element.getAttribute('role'))) {
+      return true;
+    }
+    // Page-level headers and footers; those inside an article or main belong to the content
+    if ((tagName === 'header' || tagName === 'footer') && !element.parentElement?.closest('article, main, [role="main"]')) {
+      return true;
+    }
+    // Class-name and fixed-position checks never remove the main content itself
+    if (element.querySelector('main, article, h1')) {
+      return false;
+    }
+    return hasBoilerplateName(element) || getComputedStyle(element).position === 'fixed';
+  }
+
+  function shouldSkip(element, tagName, context) {
+    if (SKIPPED_TAGS.has(tagName) || isHidden(element)) {
+      return true;
+    }
+    if (context.stripBoilerplate && element !== context.root && isBoilerplate(element, tagName)) {
+      context.removedBlocks++;
+      return true;
+    }
+    return false;
+  }
+
+  // Light DOM children, or the rendered shadow tree for web components
+  function childNodesOf(node) {
+    if (node.shadowRoot) {
+      return node.shadowRoot.childNodes;
+    }
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      return assigned.length > 0 ? assigned : node.childNodes;
+    }
+    return node.childNodes;
+  }
+
+  function convertChildren(node, context) {
+    let markdown = '';
+    for (const child of childNodesOf(node)) {
+      markdown += convertNode(child, context);
+    }
+    return markdown;
+  }
+
+  function block(markdown) {
+    const trimmed = markdown.trim();
+    return trimmed ? `\n\n${trimmed}\n\n` : '';
+  }
+
+  function inline(node, context) {
+    return collapseLines(convertChildren(node, context)).replace(/\n+/g, ' ');
+  }
+
+  // Trim every line and drop blank ones, keeping indentation placeholders
+  function collapseLines(markdown) {
+    return markdown.split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+  }
+
+  function wrapInline(node, context, marker) {
+    const content = convertChildren(node, context);
+    const trimmed = content.trim();
+    if (!trimmed) {
+      return content;
+    }
+    const leading = /^\s/.test(content) ? ' ' : '';
+    const trailing = /\s$/.test(content) ? ' ' : '';
+    return `${leading}${marker}${trimmed}${marker}${trailing}`;
+  }
+
+  function preserve(markdown, context) {
+    context.preserved.push(markdown);
+    return `${PRESERVED}${context.preserved.length - 1}${PRESERVED}`;
+  }
+
+  function convertList(list, tagName, context) {
+    let index = tagName === 'ol' ? parseInt(list.getAttribute('start') || '1', 10) : 0;
+    const items = [];
+
+    for (const child of list.children) {
+      if (child.tagName !== 'LI' || shouldSkip(child, 'li', context)) {
+        continue;
+      }
+      const marker = tagName === 'ol' ? `${index++}.` : '-';
+      const lines = collapseLines(convertChildren(child, context)).split('\n');
+      items.push(`${marker} ${lines[0]}` + lines.slice(1).map(line => `\n${INDENT}${line}`).join(''));
+    }
+
+    return block(items.join('\n'));
+  }
+
+  function convertTable(table, context) {
+    const rows = Array.from(table.rows).filter(row => !isHidden(row));
+    const cellText = cell => inline(cell, context).replace(/\|/g, '\\|');
+
+    // Single-column and nested tables are almost always layout, not data
+    const columnCount = Math.max(0, ...rows.map(row => Array.from(row.cells).reduce((total, cell) => total + cell.colSpan, 0)));
+    if (rows.length === 0 || columnCount < 2 || table.querySelector('table')) {
+      return block(convertChildren(table, context));
+    }
+
+    const grid = rows.map(row => {
+      const cells = [];
+      for (const cell of row.cells) {
+        cells.push(cellText(cell));
+        for (let span = 1; span < cell.colSpan; span++) {
+          cells.push('');
+        }
+      }
+      while (cells.length < columnCount) {
+        cells.push('');
+      }
+      return `| ${cells.join(' | ')} |`;
+    });
+
+    grid.splice(1, 0, `| ${new Array(columnCount).fill('---').join(' | ')} |`);
+
+    const caption = table.caption ? inline(table.caption, context) : '';
+    return block((caption ? `*${caption}*\n\n` : '') + grid.join('\n'));
+  }
+
+  function convertLink(link, context) {
+    const content = convertChildren(link, context);
+    const text = content.replace(/\s+/g, ' ').trim();
+    const href = link.getAttribute('href');
+
+    // In-page anchors and script links add nothing once the page is gone
+    if (!context.includeLinks || !text || !href || href.startsWith('#') || /^javascript:/i.test(href)) {
+      return content;
+    }
+    const leading = /^\s/.test(content) ? ' ' : '';
+    const trailing = /\s$/.test(content) ? ' ' : '';
+    return `${leading}[${text}](${link.href})${trailing}`;
+  }
+
+  function convertImage(image, context) {
+    if (!context.includeImages || (image.width === 1 && image.height === 1)) {
+      return '';
+    }
+    const alt = (image.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+    const src = image.currentSrc || image.src;
+    if (!src || src.startsWith('data:')) {
+      return alt ? `![${alt}]` : '';
+    }
+    return `![${alt}](${src})`;
+  }
+
+  function convertNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.data.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tagName = node.tagName.toLowerCase();
+    if (shouldSkip(node, tagName, context)) {
+      return '';
+    }
+
+    switch (tagName) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = inline(node, context);
+        return text ? block(`${'#'.repeat(Number(tagName[1]))} ${text}`) : '';
+      }
+      case 'p':
+        return block(convertChildren(node, context));
+      case 'br':
+        return '\n';
+      case 'hr':
+        return block('---');
+      case 'ul':
+      case 'ol':
+        return convertList(node, tagName, context);
+      case 'li':
+        return block(`- ${collapseLines(convertChildren(node, context))}`);
+      case 'dl':
+        return block(convertChildren(node, context));
+      case 'dt':
+        return `\n**${inline(node, context)}**\n`;
+      case 'dd':
+        return `\n: ${inline(node, context)}\n`;
+      case 'blockquote': {
+        const lines = collapseLines(convertChildren(node, context)).split('\n');
+        return block(lines.map(line => `> ${line}`).join('\n'));
+      }
+      case 'pre': {
+        const code = node.querySelector('code');
+        const language = ((code || node).className.match(/(?:lang|language)-(\S+)/) || [])[1] || '';
+        const text = node.textContent.replace(/\n$/, '');
+        return block(preserve(`\`\`\`${language}\n${text}\n\`\`\``, context));
+      }
+      case 'code':
+      case 'kbd':
+      case 'samp': {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        const fence = text.includes('`') ? '``' : '`';
+        return text.trim() ? `${fence}${text}${fence}` : '';
+      }
+      case 'strong':
+      case 'b':
+        return wrapInline(node, context, '**');
+      case 'em':
+      case 'i':
+        return wrapInline(node, context, '*');
+      case 'del':
+      case 's':
+        return wrapInline(node, context, '~~');
+      case 'a':
+        return convertLink(node, context);
+      case 'img':
+        return convertImage(node, context);
+      case 'table':
+        return convertTable(node, context);
+      case 'figcaption': {
+        const text = inline(node, context);
+        return text ? block(`*${text}*`) : '';
+      }
+      default:
+        return BLOCK_TAGS.has(tagName)
+          ? `\n\n${convertChildren(node, context)}\n\n`
+          : convertChildren(node, context);
+    }
+  }
+
+  function normalize(markdown, context) {
+    return markdown.split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .replace(new RegExp(INDENT, 'g'), '  ')
+      .replace(new RegExp(`${PRESERVED}(\\d+)${PRESERVED}`, 'g'), (match, index) => context.preserved[Number(index)]);
+  }
+
+  // The single <main> or <article>, falling back to the whole body
+  function findMainContent() {
+    for (const selector of ['main, [role="main"]', 'article']) {
+      const candidates = Array.from(document.querySelectorAll(selector)).filter(element => !isHidden(element));
+      if (candidates.length === 1) {
+        return { element: candidates[0], description: `<${candidates[0].tagName.toLowerCase()}>` };
+      }
+    }
+    return { element: document.body, description: '<body>' };
+  }
+
+  /**
+   * Convert the page, or the element matching selector, into Markdown.
+   * Links and images use absolute URLs; with stripBoilerplate, navigation, page headers and footers,
+   * cookie banners and similar blocks are dropped.
+   */
+  function toMarkdown({ selector = null, includeLinks = true, includeImages = true, stripBoilerplate = true } = {}) {
+    let root;
+    let source;
+
+    if (selector) {
+      root = window.browserPilotSelectors.querySelector(selector);
+      if (!root) {
+        throw new Error(`No element found matching selector: ${selector}`);
+      }
+      source = selector;
+    } else if (stripBoilerplate) {
+      const mainContent = findMainContent();
+      root = mainContent.element;
+      source = mainContent.description;
+    } else {
+      root = document.body;
+      source = '<body>';
+    }
+
+    const context = {
+      root,
+      includeLinks,
+      includeImages,
+      stripBoilerplate,
+      removedBlocks: 0,
+      preserved: []
+    };
+
+    const markdown = normalize(convertNode(root, context), context);
+
+    return {
+      markdown,
+      source,
+      removedBlocks: context.removedBlocks,
+      wordCount: markdown.split(/\s+/).filter(word => /\w/.test(word)).length,
+      documentUrl: location.href,
+      title: document.title
+    };
+  }
+
+  function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Repeated keys (e.g. several og:image tags) collect into an array
+  function addValue(target, key, value) {
+    if (!(key in target)) {
+      target[key] = value;
+    } else if (Array.isArray(target[key])) {
+      target[key].push(value);
+    } else {
+      target[key] = [target[key], value];
+    }
+  }
+
+  // Drop empty fields so the JSON stays compact
+  function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  }
+
+  // A selector that finds this element again, usable with click_element and type_text
+  function uniqueSelector(element) {
+    const root = element.getRootNode();
+    const prefix = root instanceof ShadowRoot ? '>>> ' : '';
+    const tagName = element.tagName.toLowerCase();
+    const candidates = [];
+
+    if (element.id) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+    const name = element.getAttribute('name');
+    if (name) {
+      const nameSelector = `${tagName}[name="${CSS.escape(name)}"]`;
+      candidates.push(nameSelector);
+      if (element.hasAttribute('value')) {
+        candidates.push(`${nameSelector}[value="${CSS.escape(element.getAttribute('value'))}"]`);
+      }
+    }
+
+    const match = candidates.find(selector => root.querySelectorAll(selector).length === 1);
+    return match ? prefix + match : null;
+  }
+
+  function tableHeaders(cells, columnCount) {
+    const seen = new Map();
+    return Array.from({ length: columnCount }, (unused, column) => {
+      const text = cells[column] || `Column ${column + 1}`;
+      const count = (seen.get(text) || 0) + 1;
+      seen.set(text, count);
+      return count === 1 ? text : `${text} (${count})`;
+    });
+  }
+
+  function extractTable(table, index, limit) {
+    // Expand colspans so every row lines up with the header columns
+    const grid = Array.from(table.rows).map(row => {
+      const cells = [];
+      for (const cell of row.cells) {
+        const text = cleanText(cell.innerText ?? cell.textContent);
+        for (let span = 0; span < cell.colSpan; span++) {
+          cells.push(text);
+        }
+      }
+      return {
+        cells,
+        inHead: row.parentElement.tagName === 'THEAD',
+        allHeaderCells: row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH')
+      };
+    }).filter(row => row.cells.some(text => text.length > 0));
+
+    const columnCount = Math.max(0, ...grid.map(row => row.cells.length));
+    let headerRows = grid.filter(row => row.inHead);
+    let headerSource = 'thead';
+    if (headerRows.length === 0 && grid.length > 1 && grid[0].allHeaderCells) {
+      headerRows = [grid[0]];
+      headerSource = 'th';
+    }
+    if (headerRows.length === 0) {
+      headerSource = 'none';
+    }
+
+    // Stacked header rows are joined per column, e.g. "2024 › Q1"
+    const headerCells = Array.from({ length: columnCount }, (unused, column) => {
+      const parts = [];
+      headerRows.forEach(row => {
+        const text = row.cells[column];
+        if (text && parts[parts.length - 1] !== text) {
+          parts.push(text);
+        }
+      });
+      return parts.join(' › ');
+    });
+    const headers = tableHeaders(headerCells, columnCount);
+
+    const bodyRows = grid.filter(row => !headerRows.includes(row));
+    const rows = bodyRows.slice(0, limit).map(row => {
+      const record = {};
+      headers.forEach((header, column) => {
+        record[header] = row.cells[column] ?? '';
+      });
+      return record;
+    });
+
+    return compact({
+      index,
+      id: table.id,
+      caption: table.caption ? cleanText(table.caption.textContent) : null,
+      selector: uniqueSelector(table),
+      headerSource,
+      headers,
+      rowCount: bodyRows.length,
+      rows
+    });
+  }
+
+  function fieldLabel(field) {
+    const root = field.getRootNode();
+    const labelledBy = field.getAttribute('aria-labelledby');
+    if (labelledBy && root.getElementById) {
+      const text = cleanText(labelledBy.split(/\s+/).map(id => root.getElementById(id)?.textContent || '').join(' '));
+      if (text) {
+        return text;
+      }
+    }
+
+    if (field.labels && field.labels.length > 0) {
+      // Wrapping labels also contain the field itself, e.g. a select's options
+      const text = cleanText(Array.from(field.labels).map(label => {
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('input, select, textarea, button').forEach(control => control.remove());
+        return copy.textContent;
+      }).join(' '));
+      if (text) {
+        return text;
+      }
+    }
+
+    return field.getAttribute('aria-label') || field.getAttribute('title') || field.getAttribute('placeholder') || null;
+  }
+
+  function extractField(field, limit) {
+    const tagName = field.tagName.toLowerCase();
+    const type = field.type;
+    const checkable = type === 'checkbox' || type === 'radio';
+
+    let value = field.value;
+    if (type === 'password') {
+      value = field.value ? '••••••' : '';
+    } else if (tagName === 'select' && field.multiple) {
+      value = Array.from(field.selectedOptions).map(option => option.value);
+    }
+
+    return compact({
+      type,
+      name: field.getAttribute('name'),
+      id: field.id,
+      label: fieldLabel(field),
+      selector: uniqueSelector(field),
+      value: checkable && !field.hasAttribute('value') ? undefined : value,
+      checked: checkable ? field.checked : undefined,
+      required: field.required || undefined,
+      disabled: field.disabled || undefined,
+      readOnly: field.readOnly || undefined,
+      hidden: type !== 'hidden' && field.getClientRects().length === 0 ? true : undefined,
+      placeholder: field.getAttribute('placeholder'),
+      pattern: field.getAttribute('pattern'),
+      min: field.getAttribute('min'),
+      max: field.getAttribute('max'),
+      options: tagName === 'select'
+        ? Array.from(field.options).slice(0, limit).map(option => compact({
+          value: option.value,
+          text: cleanText(option.textContent),
+          selected: option.selected || undefined
+        }))
+        : undefined
+    });
+  }
+
+  function extractForms(fields, limit) {
+    // Group fields by the form they submit with; fields outside any form form their own group
+    const groups = new Map();
+    fields.forEach(field => {
+      if (!groups.has(field.form)) {
+        groups.set(field.form, []);
+      }
+      groups.get(field.form).push(field);
+    });
+
+    return Array.from(groups.entries()).map(([form, formFields], index) => {
+      if (!form) {
+        return {
+          index,
+          form: null,
+          fieldCount: formFields.length,
+          fields: formFields.slice(0, limit).map(field => extractField(field, limit))
+        };
+      }
+
+      const action = form.getAttribute('action');
+      const submitButtons = Array.from(form.querySelectorAll('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]'))
+        .map(button => compact({
+          text: cleanText(button.textContent) || button.getAttribute('value') || button.getAttribute('aria-label'),
+          selector: uniqueSelector(button)
+        }));
+
+      return compact({
+        index,
+        id: form.id,
+        name: form.getAttribute('name'),
+        selector: uniqueSelector(form),
+        action: action !== null ? resolveFormAction(action) : location.href,
+        method: (form.getAttribute('method') || 'get').toLowerCase(),
+        fieldCount: formFields.length,
+        fields: formFields.slice(0, limit).map(field => extractField(field, limit)),
+        submitButtons
+      });
+    });
+  }
+
+  // Malformed action attributes are reported as written
+  function resolveFormAction(action) {
+    try {
+      return new URL(action, document.baseURI).href;
+    } catch {
+      return action;
+    }
+  }
+
+  function extractLink(link) {
+    const image = link.querySelector('img[alt]');
+    let external = false;
+    try {
+      external = new URL(link.href).origin !== location.origin;
+    } catch {
+      // Unparseable hrefs are reported as internal
+    }
+
+    return compact({
+      text: cleanText(link.textContent) || link.getAttribute('aria-label') || link.getAttribute('title') || image?.getAttribute('alt'),
+      href: link.href,
+      rel: link.getAttribute('rel'),
+      target: link.getAttribute('target'),
+      external: external || undefined
+    });
+  }
+
+  function microdataValue(element) {
+    switch (element.tagName.toLowerCase()) {
+      case 'meta':
+        return element.getAttribute('content');
+      case 'audio':
+      case 'embed':
+      case 'iframe':
+      case 'img':
+      case 'source':
+      case 'track':
+      case 'video':
+        return element.src;
+      case 'a':
+      case 'area':
+      case 'link':
+        return element.href;
+      case 'object':
+        return element.data;
+      case 'data':
+      case 'meter':
+        return element.getAttribute('value');
+      case 'time':
+        return element.getAttribute('datetime') || cleanText(element.textContent);
+      default:
+        return cleanText(element.textContent);
+    }
+  }
+
+  function readMicrodataItem(item, depth) {
+    const properties = {};
+
+    for (const element of item.querySelectorAll('[itemprop]')) {
+      // Properties of nested items belong to those items
+      if (element.parentElement?.closest('[itemscope]') !== item) {
+        continue;
+      }
+      const value = element.hasAttribute('itemscope')
+        ? (depth < 5 ? readMicrodataItem(element, depth + 1) : null)
+        : microdataValue(element);
+      element.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => addValue(properties, name, value));
+    }
+
+    return compact({
+      type: item.getAttribute('itemtype'),
+      id: item.getAttribute('itemid'),
+      properties
+    });
+  }
+
+  function extractMetadata(scope) {
+    const meta = {};
+    const openGraph = {};
+    const twitter = {};
+
+    for (const element of document.querySelectorAll('meta[content]')) {
+      const key = element.getAttribute('property') || element.getAttribute('name') || element.getAttribute('http-equiv');
+      if (!key) {
+        continue;
+      }
+      const target = /^(og|article|book|profile|music|video|fb):/.test(key) ? openGraph : (key.startsWith('twitter:') ? twitter : meta);
+      addValue(target, key, element.getAttribute('content'));
+    }
+
+    const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map(script => {
+      try {
+        return JSON.parse(script.textContent);
+      } catch (error) {
+        return { parseError: error.message, raw: script.textContent.trim().substring(0, 200) };
+      }
+    });
+
+    // Top-level items only; items used as a property value are nested in their parent
+    const microdata = window.browserPilotSelectors.querySelectorAll('>>> [itemscope]', scope)
+      .filter(item => !item.hasAttribute('itemprop'))
+      .map(item => readMicrodataItem(item, 0));
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    const alternates = Array.from(document.querySelectorAll('link[rel="alternate"][href]')).map(link => compact({
+      href: link.href,
+      hreflang: link.getAttribute('hreflang'),
+      type: link.getAttribute('type'),
+      title: link.getAttribute('title')
+    }));
+
+    return compact({
+      title: document.title,
+      lang: document.documentElement.getAttribute('lang'),
+      charset: document.characterSet,
+      description: meta.description,
+      canonical: canonical ? canonical.href : null,
+      alternates: alternates.length > 0 ? alternates : undefined,
+      meta,
+      openGraph,
+      twitter,
+      jsonLd,
+      microdata
+    });
+  }
+
+  /**
+   * Extract tables, forms, links or metadata as JSON-friendly objects.
+   * selector limits the search to one element; limit caps rows per table, fields per form and links.
+   */
+  function extractStructured({ mode, selector = null, limit = 100 } = {}) {
+    let scope = document;
+    if (selector) {
+      scope = window.browserPilotSelectors.querySelector(selector);
+      if (!scope) {
+        throw new Error(`No element found matching selector: ${selector}`);
+      }
+    }
+    const findAll = query => window.browserPilotSelectors.querySelectorAll(`>>> ${query}`, scope);
+    const result = { mode, documentUrl: location.href, title: document.title };
+
+    switch (mode) {
+      case 'tables': {
+        const tables = findAll('table').filter(table => !['presentation', 'none'].includes(table.getAttribute('role')));
+        result.tables = tables.map((table, index) => extractTable(table, index, limit));
+        break;
+      }
+      case 'forms':
+        result.forms = extractForms(findAll('input, select, textarea').filter(field => field.type !== 'submit' && field.type !== 'button' && field.type !== 'reset' && field.type !== 'image'), limit);
+        break;
+      case 'links': {
+        const links = findAll('a[href], area[href]').filter(link => !/^javascript:/i.test(link.getAttribute('href')));
+        result.totalLinks = links.length;
+        result.links = links.slice(0, limit).map(extractLink);
+        break;
+      }
+      case 'metadata':
+        result.metadata = extractMetadata(scope);
+        break;
+      default:
+        throw new Error(`Unknown extraction mode: ${mode}`);
+    }
+
+    return result;
+  }
+
+  const TREE_IGNORED_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+
+  function captureNode(node, includeShadowDom) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return cleanText(node.data) || null;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (TREE_IGNORED_TAGS.has(tag)) {
+      return null;
+    }
+
+    const attrs = {};
+    for (const attribute of node.attributes) {
+      if (attribute.name !== 'data-browser-pilot-ref') {
+        attrs[attribute.name] = attribute.value;
+      }
+    }
+    // Typed values and checked state live in properties, so they are recorded as ":value" and ":checked"
+    if (tag === 'input' || tag === 'textarea' || tag === 'select') {
+      attrs[':value'] = node.type === 'password' && node.value ? '••••••' : node.value;
+      if (node.type === 'checkbox' || node.type === 'radio') {
+        attrs[':checked'] = String(node.checked);
+      }
+    }
+
+    const children = [];
+    if (includeShadowDom && node.shadowRoot) {
+      children.push({ tag: '#shadow-root', children: captureChildren(node.shadowRoot, includeShadowDom) });
+    }
+    children.push(...captureChildren(node, includeShadowDom));
+
+    const captured = { tag };
+    if (Object.keys(attrs).length > 0) {
+      captured.attrs = attrs;
+    }
+    if (children.length > 0) {
+      captured.children = children;
+    }
+    return captured;
+  }
+
+  function captureChildren(parent, includeShadowDom) {
+    const children = [];
+    for (const child of parent.childNodes) {
+      const captured = captureNode(child, includeShadowDom);
+      if (captured !== null) {
+        children.push(captured);
+      }
+    }
+    return children;
+  }
+
+  /**
+   * Capture element as a compact JSON tree for diffing: { tag, attrs, children } with
+   * text nodes as strings. Scripts, styles and whitespace-only text are left out.
+   */
+  function captureTree(element, includeShadowDom = false) {
+    return captureNode(element, includeShadowDom);
+  }
+
+  window.browserPilotExtractor = {
+    toMarkdown,
+    extractStructured,
+    captureTree,
+    // Shared with the form controls script
+    fieldLabel,
+    uniqueSelector
+  };
+})();
@@ -0,0 +1,132 @@
+// Browser Pilot - Selector Engine
+// Injected into the extension's isolated world before DOM commands run.
+// Adds shadow DOM piercing selectors and shadow-root-aware HTML serialisation.
+
+(() => {
+  if (window.browserPilotSelectors) {
+    return;
+  }
+
+  const PIERCE_COMBINATOR = '>>>';
+
+  // Find matches anywhere under scope, including inside nested open shadow roots
+  function queryDeep(scope, selector, results) {
+    for (const element of scope.querySelectorAll(selector)) {
+      results.add(element);
+    }
+
+    if (scope.shadowRoot) {
+      queryDeep(scope.shadowRoot, selector, results);
+    }
+
+    for (const element of scope.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        queryDeep(element.shadowRoot, selector, results);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * querySelectorAll with support for the ">>>" deep combinator.
+   * "my-app >>> button" finds buttons anywhere inside my-app, including its shadow tree;
+   * a leading ">>> button" searches the whole document including all open shadow roots.
+   */
+  function querySelectorAll(selector, root = document) {
+    if (!selector.includes(PIERCE_COMBINATOR)) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+
+    const steps = selector.split(PIERCE_COMBINATOR).map(step => step.trim());
+    let scopes = [root];
+
+    steps.forEach((step, index) => {
+      if (!step) {
+        if (index === steps.length - 1) {
+          throw new Error(`Selector cannot end with ${PIERCE_COMBINATOR}: ${selector}`);
+        }
+        return;
+      }
+
+      const matches = new Set();
+      for (const scope of scopes) {
+        if (index === 0) {
+          for (const element of scope.querySelectorAll(step)) {
+            matches.add(element);
+          }
+        } else {
+          queryDeep(scope, step, matches);
+        }
+      }
+      scopes = Array.from(matches);
+    });
+
+    return scopes.filter(scope => scope !== root);
+  }
+
+  function querySelector(selector, root = document) {
+    return querySelectorAll(selector, root)[0] || null;
+  }
+
+  const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr'
+  ]);
+  const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+  function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function serializeChildren(parent) {
+    let html = '';
+    for (const child of parent.childNodes) {
+      html += serializeNode(child, parent);
+    }
+    return html;
+  }
+
+  function serializeNode(node, parent) {
+    switch (node.nodeType) {
+      case Node.ELEMENT_NODE: {
+        const tagName = node.tagName.toLowerCase();
+        const attributes = Array.from(node.attributes)
+          .map(attribute => ` ${attribute.name}="${attribute.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+          .join('');
+
+        if (VOID_ELEMENTS.has(tagName)) {
+          return `<${tagName}${attributes}>`;
+        }
+
+        // Open shadow roots are written in declarative shadow DOM form
+        let inner = '';
+        if (node.shadowRoot) {
+          inner += `<template shadowrootmode="${node.shadowRoot.mode}">${serializeChildren(node.shadowRoot)}</template>`;
+        }
+        inner += serializeChildren(tagName === 'template' ? node.content : node);
+
+        return `<${tagName}${attributes}>${inner}</${tagName}>`;
+      }
+      case Node.TEXT_NODE:
+        return parent.nodeType === Node.ELEMENT_NODE && RAW_TEXT_ELEMENTS.has(parent.tagName.toLowerCase())
+          ? node.data
+          : escapeText(node.data);
+      case Node.COMMENT_NODE:
+        return `<!--${node.data}-->`;
+      default:
+        return '';
+    }
+  }
+
+  // outerHTML equivalent that also includes the contents of open shadow roots
+  function serializeWithShadowRoots(element) {
+    return serializeNode(element, element.parentNode || document);
+  }
+
+  window.browserPilotSelectors = {
+    querySelectorAll,
+    querySelector,
+    serializeWithShadowRoots
+  };
+})();
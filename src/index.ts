@@ -12,6 +12,8 @@ import { BrowserNetworkTool } from './tools/browser-network.js';
 import { BrowserDomTool } from './tools/browser-dom.js';
 import { BrowserScreenshotTool } from './tools/browser-screenshot.js';
 import { BrowserAutomationTool } from './tools/browser-automation.js';
+import { BrowserInterceptionTool } from './tools/browser-interception.js';
+import { BrowserTabsTool } from './tools/browser-tabs.js';
 import { versionTool, executeGetVersion } from './tools/version.js';
 import browserPilotClient from './mcp-client/browser-pilot-client.js';
 import { join } from 'path';
@@ -66,6 +68,8 @@ async function createServer(logFilePath?: string): Promise<Server> {
   const browserDomTool = new BrowserDomTool(browserPilotClient);
   const browserScreenshotTool = new BrowserScreenshotTool(browserPilotClient);
   const browserAutomationTool = new BrowserAutomationTool(browserPilotClient);
+  const browserInterceptionTool = new BrowserInterceptionTool(browserPilotClient);
+  const browserTabsTool = new BrowserTabsTool(browserPilotClient);
 
   // List available tools
   server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -73,21 +77,57 @@ async function createServer(logFilePath?: string): Promise<Server> {
       tools: [
         // Primary inspection tools first
         browserDomTool.getSchema(),
+        browserDomTool.getDiffDomSnapshotsSchema(),
+        browserDomTool.getExtractPageContentSchema(),
+        browserDomTool.getExtractStructuredSchema(),
+        browserDomTool.getAccessibilitySnapshotSchema(),
+        browserDomTool.getListFramesSchema(),
         browserScreenshotTool.getSchema(),
         
         // Navigation and automation tools
         browserNavigationTool.getNavigateSchema(),
         browserNavigationTool.getCurrentUrlSchema(),
+        browserNavigationTool.getGoBackSchema(),
+        browserNavigationTool.getGoForwardSchema(),
+        browserNavigationTool.getReloadSchema(),
         browserAutomationTool.getClickElementSchema(),
         browserAutomationTool.getTypeTextSchema(),
+        browserAutomationTool.getPressKeysSchema(),
+        browserAutomationTool.getSetFieldValueSchema(),
+        browserAutomationTool.getFillFormSchema(),
+        browserAutomationTool.getHoverElementSchema(),
+        browserAutomationTool.getDoubleClickSchema(),
+        browserAutomationTool.getContextClickSchema(),
+        browserAutomationTool.getDragAndDropSchema(),
+        browserNetworkTool.getWaitForNetworkSchema(),
+        browserAutomationTool.getWaitForSchema(),
+        browserAutomationTool.getWaitForPopupSchema(),
+        
+        // Tab management tools
+        browserTabsTool.getListTabsSchema(),
+        browserTabsTool.getOpenTabSchema(),
+        browserTabsTool.getCloseTabSchema(),
+        browserTabsTool.getActivateTabSchema(),
+        browserTabsTool.getDuplicateTabSchema(),
         
         // Data extraction tools
         browserStorageTool.getLocalStorageSchema(),
         browserStorageTool.getSessionStorageSchema(),
         browserStorageTool.getCookiesSchema(),
         browserNetworkTool.getSchema(),
+        browserNetworkTool.getCaptureSchema(),
+        browserNetworkTool.getRequestDetailsSchema(),
+        browserNetworkTool.getWebSocketMessagesSchema(),
+        browserNetworkTool.getEventStreamMessagesSchema(),
+        browserNetworkTool.getExportHarSchema(),
         consoleLogsTool.getSchema(),
         
+        // Network control tools
+        browserInterceptionTool.getMockRouteSchema(),
+        browserInterceptionTool.getClearRoutesSchema(),
+        browserInterceptionTool.getNetworkConditionsSchema(),
+        browserInterceptionTool.getRequestHeadersSchema(),
+        
         // Utility tools
         versionTool
       ],
@@ -109,6 +149,30 @@ async function createServer(logFilePath?: string): Promise<Server> {
         case 'get_current_url':
           return await browserNavigationTool.executeGetCurrentUrl(args);
           
+        case 'go_back':
+          return await browserNavigationTool.executeGoBack(args);
+          
+        case 'go_forward':
+          return await browserNavigationTool.executeGoForward(args);
+          
+        case 'reload_page':
+          return await browserNavigationTool.executeReload(args);
+          
+        case 'list_tabs':
+          return await browserTabsTool.executeListTabs(args);
+          
+        case 'open_tab':
+          return await browserTabsTool.executeOpenTab(args);
+          
+        case 'close_tab':
+          return await browserTabsTool.executeCloseTab(args);
+          
+        case 'activate_tab':
+          return await browserTabsTool.executeActivateTab(args);
+          
+        case 'duplicate_tab':
+          return await browserTabsTool.executeDuplicateTab(args);
+          
         case 'get_local_storage':
           return await browserStorageTool.executeGetLocalStorage(args);
           
@@ -121,9 +185,54 @@ async function createServer(logFilePath?: string): Promise<Server> {
         case 'get_network_requests':
           return await browserNetworkTool.execute(args);
           
+        case 'set_network_capture':
+          return await browserNetworkTool.executeSetCapture(args);
+          
+        case 'get_network_request_details':
+          return await browserNetworkTool.executeGetRequestDetails(args);
+          
+        case 'wait_for_network':
+          return await browserNetworkTool.executeWaitForNetwork(args);
+          
+        case 'get_websocket_messages':
+          return await browserNetworkTool.executeGetWebSocketMessages(args);
+          
+        case 'get_event_stream_messages':
+          return await browserNetworkTool.executeGetEventStreamMessages(args);
+          
+        case 'export_har':
+          return await browserNetworkTool.executeExportHar(args);
+          
+        case 'mock_network_route':
+          return await browserInterceptionTool.executeMockRoute(args);
+          
+        case 'clear_network_routes':
+          return await browserInterceptionTool.executeClearRoutes(args);
+          
+        case 'set_network_conditions':
+          return await browserInterceptionTool.executeSetNetworkConditions(args);
+          
+        case 'set_request_headers':
+          return await browserInterceptionTool.executeSetRequestHeaders(args);
+          
         case 'get_dom_snapshot':
           return await browserDomTool.execute(args);
           
+        case 'diff_dom_snapshots':
+          return await browserDomTool.executeDiffDomSnapshots(args);
+          
+        case 'extract_page_content':
+          return await browserDomTool.executeExtractPageContent(args);
+          
+        case 'extract_structured':
+          return await browserDomTool.executeExtractStructured(args);
+          
+        case 'get_accessibility_snapshot':
+          return await browserDomTool.executeGetAccessibilitySnapshot(args);
+          
+        case 'list_frames':
+          return await browserDomTool.executeListFrames(args);
+          
         case 'take_screenshot':
           return await browserScreenshotTool.execute(args);
           
@@ -133,6 +242,33 @@ async function createServer(logFilePath?: string): Promise<Server> {
         case 'type_text':
           return await browserAutomationTool.executeTypeText(args);
           
+        case 'press_keys':
+          return await browserAutomationTool.executePressKeys(args);
+          
+        case 'set_field_value':
+          return await browserAutomationTool.executeSetFieldValue(args);
+          
+        case 'fill_form':
+          return await browserAutomationTool.executeFillForm(args);
+          
+        case 'hover_element':
+          return await browserAutomationTool.executeHoverElement(args);
+          
+        case 'double_click':
+          return await browserAutomationTool.executeDoubleClick(args);
+          
+        case 'context_click':
+          return await browserAutomationTool.executeContextClick(args);
+          
+        case 'drag_and_drop':
+          return await browserAutomationTool.executeDragAndDrop(args);
+          
+        case 'wait_for':
+          return await browserAutomationTool.executeWaitFor(args);
+          
+        case 'wait_for_popup':
+          return await browserAutomationTool.executeWaitForPopup(args);
+          
         case 'get_version':
           const versionInfo = await executeGetVersion();
           return {
@@ -13,6 +13,7 @@ import { join } from 'path';
 import * as os from 'os';
 import { BrowserInterface, TabLogData } from '../types/browser-interface.js';
 import type { GetConsoleLogsParams } from '../types/console.js';
+import { buildHar, Har } from '../utils/har.js';
 
 // Types
 interface BrowserPilotOptions {
@@ -447,6 +448,39 @@ export class BrowserPilotClient implements BrowserInterface {
     });
   }
   
+  /**
+   * Get full details, including bodies, for a single captured network request
+   */
+  async getNetworkRequestDetails(requestId: string, options: {
+    tabId?: number;
+    includeBody?: boolean;
+    maxBodySize?: number;
+  } = {}): Promise<any> {
+    return this.sendCommand('get_network_request_details', {
+      requestId,
+      tabId: options.tabId,
+      includeBody: options.includeBody !== false, // Default to true
+      maxBodySize: options.maxBodySize || 20000
+    });
+  }
+
+  /**
+   * Export a tab's captured network traffic as a HAR 1.2 document
+   */
+  async exportHar(options: {
+    tabId?: number;
+    includeBodies?: boolean;
+    maxBodySize?: number;
+  } = {}): Promise<Har> {
+    const result = await this.sendCommand('export_network_log', {
+      tabId: options.tabId,
+      includeBodies: options.includeBodies || false,
+      maxBodySize: options.maxBodySize || 1000000
+    }, 60000);
+    
+    return buildHar(result.data);
+  }
+  
   /**
    * Get DOM snapshot
    */
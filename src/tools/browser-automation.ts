@@ -6,20 +6,126 @@ import { BrowserInterface } from '../types/browser-interface.js';
 const ClickElementSchema = z.object({
   tabId: z.number().optional().describe('Tab ID to perform action on (current active tab if not specified)'),
   selector: z.string().optional().describe('CSS selector to identify element to click'),
+  ref: z.string().optional().describe('Element ref from get_accessibility_snapshot (e.g. "e12")'),
   text: z.string().optional().describe('Text content to search for in clickable elements'),
   includeScreenshot: z.boolean().default(true).optional().describe('Include before/after screenshots for verification'),
-  waitAfterClick: z.number().default(500).optional().describe('Milliseconds to wait after clicking (default: 500ms)')
+  waitAfterClick: z.number().default(500).optional().describe('Milliseconds to wait after clicking (default: 500ms)'),
+  inputMode: z.enum(['script', 'trusted']).default('script').optional().describe('How the click is performed (default: script)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
 });
 
 const TypeTextSchema = z.object({
   tabId: z.number().optional().describe('Tab ID to perform action on (current active tab if not specified)'),
   selector: z.string().optional().describe('CSS selector to identify input element'),
+  ref: z.string().optional().describe('Element ref from get_accessibility_snapshot (e.g. "e12")'),
   text: z.string().optional().describe('Text content to search for in input elements (placeholder, label, etc.)'),
   textToType: z.string().describe('Text to type into the element'),
   clearFirst: z.boolean().default(true).optional().describe('Clear existing text before typing (default: true)'),
   submit: z.boolean().default(false).optional().describe('Press Enter after typing (default: false)'),
   includeScreenshot: z.boolean().default(true).optional().describe('Include before/after screenshots for verification'),
-  waitAfterType: z.number().default(500).optional().describe('Milliseconds to wait after typing (default: 500ms)')
+  waitAfterType: z.number().default(500).optional().describe('Milliseconds to wait after typing (default: 500ms)'),
+  inputMode: z.enum(['script', 'trusted']).default('script').optional().describe('How the text is entered (default: script)'),
+  keystrokeDelay: z.number().min(0).max(1000).default(80).optional().describe('Average milliseconds between trusted keystrokes (default: 80)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const PressKeysSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to send keys to (current active tab if not specified)'),
+  keys: z.array(z.string().min(1)).min(1).max(50).describe('Keys or chords to press in order, e.g. ["Control+A", "Backspace"]'),
+  selector: z.string().optional().describe('CSS selector of an element to focus first (currently focused element if not specified)'),
+  ref: z.string().optional().describe('Element ref from get_accessibility_snapshot to focus first'),
+  delay: z.number().min(0).max(2000).default(50).optional().describe('Average milliseconds between key presses (default: 50)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const FieldValueSchema = z.union([z.string(), z.number(), z.boolean(), z.array(z.string())]);
+
+const SetFieldValueSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to perform action on (current active tab if not specified)'),
+  selector: z.string().optional().describe('CSS selector of the field, its label or a wrapper around it'),
+  ref: z.string().optional().describe('Element ref from get_accessibility_snapshot (e.g. "e12")'),
+  label: z.string().optional().describe('Label text, name, id or placeholder of the field'),
+  value: FieldValueSchema.describe('Value to set'),
+  by: z.enum(['auto', 'value', 'label', 'index']).default('auto').optional().describe('How select options are matched (default: auto)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const FillFormSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to perform action on (current active tab if not specified)'),
+  fields: z.record(FieldValueSchema).refine(fields => Object.keys(fields).length > 0, 'fields must name at least one field')
+    .describe('Map of field label, name or selector to value'),
+  formSelector: z.string().optional().describe('CSS selector of the form to fill (whole page if not specified)'),
+  submit: z.boolean().default(false).optional().describe('Submit the form after filling every field (default: false)'),
+  submitSelector: z.string().optional().describe('CSS selector of the button to click to submit'),
+  by: z.enum(['auto', 'value', 'label', 'index']).default('auto').optional().describe('How select options are matched (default: auto)'),
+  includeScreenshot: z.boolean().default(false).optional().describe('Include a screenshot taken after filling (default: false)'),
+  waitAfter: z.number().min(0).max(30000).default(500).optional().describe('Milliseconds to wait after filling or submitting (default: 500ms)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const MouseActionSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to perform action on (current active tab if not specified)'),
+  selector: z.string().optional().describe('CSS selector to identify the element'),
+  ref: z.string().optional().describe('Element ref from get_accessibility_snapshot (e.g. "e12")'),
+  text: z.string().optional().describe('Text content to search for in clickable elements'),
+  includeScreenshot: z.boolean().default(false).optional().describe('Include a screenshot taken after the action (default: false)'),
+  waitAfter: z.number().min(0).max(30000).default(500).optional().describe('Milliseconds to wait after the action (default: 500ms)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const DragEndpointSchema = z.object({
+  selector: z.string().optional().describe('CSS selector of the element'),
+  ref: z.string().optional().describe('Element ref from get_accessibility_snapshot'),
+  text: z.string().optional().describe('Text content to search for in clickable elements'),
+  x: z.number().optional().describe('Viewport x coordinate, used with y instead of an element'),
+  y: z.number().optional().describe('Viewport y coordinate, used with x instead of an element')
+});
+
+const DragAndDropSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to perform action on (current active tab if not specified)'),
+  source: DragEndpointSchema.describe('Element or point to drag from'),
+  target: DragEndpointSchema.describe('Element or point to drop on'),
+  method: z.enum(['auto', 'mouse', 'html5']).default('auto').optional().describe('How the drag is performed (default: auto)'),
+  steps: z.number().min(1).max(100).default(15).optional().describe('Mouse moves between source and target (default: 15)'),
+  includeScreenshot: z.boolean().default(false).optional().describe('Include a screenshot taken after the drop (default: false)'),
+  waitAfter: z.number().min(0).max(30000).default(500).optional().describe('Milliseconds to wait after the drop (default: 500ms)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const MOUSE_ACTIONS = {
+  hover_element: { title: 'Hovered Over Element', failure: 'Hover', action: 'hover over' },
+  double_click: { title: 'Double-Clicked Element', failure: 'Double-Click', action: 'double-click' },
+  context_click: { title: 'Right-Clicked Element', failure: 'Right-Click', action: 'right-click' }
+} as const;
+
+const WAIT_CONDITIONS = ['selector_present', 'selector_absent', 'visible', 'enabled', 'text', 'url', 'expression'] as const;
+
+const WaitForPopupSchema = z.object({
+  openerTabId: z.number().optional().describe('Only accept tabs opened by this tab (any tab if not specified)'),
+  urlPattern: z.string().optional().describe('Pattern the popup URL must match'),
+  patternType: z.enum(['substring', 'glob', 'regex']).default('substring').optional().describe('How urlPattern is interpreted (default: substring)'),
+  since: z.number().optional().describe('Accept tabs opened after this timestamp (default: when the call starts)'),
+  waitForLoad: z.boolean().default(true).optional().describe('Wait for the popup to finish loading (default: true)'),
+  timeout: z.number().min(100).max(120000).default(10000).optional().describe('Maximum milliseconds to wait (default: 10000)')
+});
+
+const WaitForSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to watch (current active tab if not specified)'),
+  condition: z.enum(WAIT_CONDITIONS).describe('Condition to wait for'),
+  selector: z.string().optional().describe('CSS selector for element conditions, or to scope the text condition'),
+  text: z.string().optional().describe('Text that must be present (text condition)'),
+  urlPattern: z.string().optional().describe('Pattern the tab URL must match (url condition)'),
+  patternType: z.enum(['substring', 'glob', 'regex']).default('substring').optional().describe('How urlPattern is interpreted (default: substring)'),
+  expression: z.string().optional().describe('JavaScript expression that must evaluate truthy (expression condition)'),
+  timeout: z.number().min(100).max(120000).default(10000).optional().describe('Maximum milliseconds to wait (default: 10000)'),
+  pollInterval: z.number().min(50).max(5000).default(100).optional().describe('Milliseconds between checks (default: 100)')
 });
 
 export class BrowserAutomationTool {
@@ -43,7 +149,7 @@ export class BrowserAutomationTool {
           },
           selector: {
             type: 'string',
-            description: 'CSS selector to identify element to click (e.g., "button", ".drugs-link", "#submit"). Use get_dom_snapshot to find exact selectors for dynamic elements.',
+            description: 'CSS selector to identify element to click (e.g., "button", ".drugs-link", "#submit"). Use get_dom_snapshot to find exact selectors for dynamic elements. Use >>> to reach inside shadow roots (e.g., "sl-dialog >>> button[part=\'close\']").',
             optional: true
           },
           text: {
@@ -51,6 +157,11 @@ export class BrowserAutomationTool {
             description: 'Text content to search for in clickable elements (e.g., "Drugs", "Submit", "Login")',
             optional: true
           },
+          ref: {
+            type: 'string',
+            description: 'Element ref from get_accessibility_snapshot (e.g., "e12"). Refs stay valid until the next snapshot of the tab.',
+            optional: true
+          },
           includeScreenshot: {
             type: 'boolean',
             description: 'Include before/after screenshots for verification (default: true)',
@@ -62,6 +173,23 @@ export class BrowserAutomationTool {
             description: 'Milliseconds to wait after clicking (default: 500ms)',
             default: 500,
             optional: true
+          },
+          inputMode: {
+            type: 'string',
+            enum: ['script', 'trusted'],
+            description: '"script" calls element.click() from page JavaScript. "trusted" scrolls the element into view and dispatches real mouse events at its centre through the Chrome debugger; use it when the page ignores script clicks (drag handles, custom widgets, anti-bot checks). Default: script.',
+            default: 'script',
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
           }
         }
       }
@@ -82,7 +210,7 @@ export class BrowserAutomationTool {
           },
           selector: {
             type: 'string',
-            description: 'CSS selector to identify input element (e.g., "input[type=\'email\']", "#username", ".search-box"). Use get_dom_snapshot to find exact selectors for dynamic form fields.',
+            description: 'CSS selector to identify input element (e.g., "input[type=\'email\']", "#username", ".search-box"). Use get_dom_snapshot to find exact selectors for dynamic form fields. Use >>> to reach inside shadow roots (e.g., "sl-input >>> input").',
             optional: true
           },
           text: {
@@ -90,6 +218,11 @@ export class BrowserAutomationTool {
             description: 'Text content to search for in input elements (placeholder, label, etc.)',
             optional: true
           },
+          ref: {
+            type: 'string',
+            description: 'Element ref from get_accessibility_snapshot (e.g., "e7"). Refs stay valid until the next snapshot of the tab.',
+            optional: true
+          },
           textToType: {
             type: 'string',
             description: 'Text to type into the element'
@@ -117,6 +250,31 @@ export class BrowserAutomationTool {
             description: 'Milliseconds to wait after typing (default: 500ms)',
             default: 500,
             optional: true
+          },
+          inputMode: {
+            type: 'string',
+            enum: ['script', 'trusted'],
+            description: '"script" sets the value from page JavaScript and fires input/change events. "trusted" focuses the element and types real keystrokes through the Chrome debugger, one key at a time; use it for React-controlled inputs, autocompletes and pages that check for real key events. Default: script.',
+            default: 'script',
+            optional: true
+          },
+          keystrokeDelay: {
+            type: 'number',
+            description: 'Average milliseconds between keystrokes in trusted mode, randomised by ±50% (default: 80, max: 1000)',
+            minimum: 0,
+            maximum: 1000,
+            default: 80,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
           }
         },
         required: ['textToType']
@@ -124,83 +282,478 @@ export class BrowserAutomationTool {
     };
   }
 
-
-  async executeClickElement(args: unknown): Promise<CallToolResult> {
-    try {
-      const params = ClickElementSchema.parse(args || {});
-
-      const isConnected = await this.bridge.isConnected();
-      if (!isConnected) {
-        return {
-          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
-          isError: true,
-        };
+  getPressKeysSchema() {
+    return {
+      name: 'press_keys',
+      description: 'Press keys and shortcuts with real keyboard events, e.g. Escape to close a modal, ArrowDown/Enter to pick from a menu, Tab/Shift+Tab to move focus, Control+A to select all, or Meta+K to open a command palette. Keys go to the focused element, or to the element given by selector or ref, which is focused first.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to send keys to (uses current active tab if not specified)',
+            optional: true
+          },
+          keys: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Keys or chords pressed one after another. Named keys: Enter, Escape, Tab, Backspace, Delete, Space, ArrowUp/Down/Left/Right, Home, End, PageUp, PageDown, F1-F12. Single characters such as "a" or "/". Combine with Control (Ctrl), Alt (Option), Shift and Meta (Cmd) using "+", e.g. "Ctrl+A", "Shift+Tab", "Meta+K".'
+          },
+          selector: {
+            type: 'string',
+            description: 'CSS selector of an element to focus before pressing keys (keys go to the currently focused element if not specified). Use >>> to reach inside shadow roots.',
+            optional: true
+          },
+          ref: {
+            type: 'string',
+            description: 'Element ref from get_accessibility_snapshot to focus before pressing keys (e.g., "e12")',
+            optional: true
+          },
+          delay: {
+            type: 'number',
+            description: 'Average milliseconds between key presses, randomised by ±50% (default: 50, max: 2000)',
+            minimum: 0,
+            maximum: 2000,
+            default: 50,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          }
+        },
+        required: ['keys']
       }
+    };
+  }
 
-      let responseText = `**Browser Automation - Click Element** 🎯\n\n`;
-      const content: (TextContent | ImageContent)[] = [];
+  getSetFieldValueSchema() {
+    return {
+      name: 'set_field_value',
+      description: 'Set the value of a form field the way a user would, firing input and change events so framework bindings update. Handles native selects (by option value, label or index, including multi-selects), checkboxes, radio groups, range sliders, date/time/color inputs and text fields. Use this instead of type_text for anything that is not a text box.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to perform action on (uses current active tab if not specified)',
+            optional: true
+          },
+          selector: {
+            type: 'string',
+            description: 'CSS selector of the field, or of its label or a wrapper such as a radio group. Use >>> to reach inside shadow roots.',
+            optional: true
+          },
+          ref: {
+            type: 'string',
+            description: 'Element ref from get_accessibility_snapshot (e.g., "e12"). Refs stay valid until the next snapshot of the tab.',
+            optional: true
+          },
+          label: {
+            type: 'string',
+            description: 'Find the field by its label text, name, id or placeholder (e.g., "Country", "Subscribe to newsletter"). For radios and checkboxes the fieldset legend also counts.',
+            optional: true
+          },
+          value: {
+            type: ['string', 'number', 'boolean', 'array'],
+            items: { type: 'string' },
+            description: 'Value to set. Selects: option value or label, an index with by "index", or an array for multi-selects. Checkboxes: true or false. Radios: value or label of the option to choose. Range and number: a number. Date/time: the input\'s format, e.g. "2024-03-15", "14:30", "2024-03-15T14:30", "2024-03", "2024-W11". Color: "#rrggbb".'
+          },
+          by: {
+            type: 'string',
+            enum: ['auto', 'value', 'label', 'index'],
+            description: 'How select options are matched: "auto" tries the option value then its label (default: auto)',
+            default: 'auto',
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          }
+        },
+        required: ['value']
+      }
+    };
+  }
 
-      // Get current tab info
-      const tabInfo = await this.bridge.sendCommand('get_current_url', {});
-      if (!tabInfo.success) {
-        return {
-          content: [{ type: 'text', text: `Failed to get tab information: ${tabInfo.error || 'Unknown error'}` }],
-          isError: true,
-        };
+  getFillFormSchema() {
+    return {
+      name: 'fill_form',
+      description: 'Fill several form fields in one call from a map of field label, name or selector to value, e.g. {"Email": "a@example.com", "Country": "Germany", "I agree to the terms": true}. Each field is set with the right strategy for its type, as in set_field_value, and the result lists every field\'s outcome. Optionally submits the form once every field is set.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to perform action on (uses current active tab if not specified)',
+            optional: true
+          },
+          fields: {
+            type: 'object',
+            additionalProperties: {
+              type: ['string', 'number', 'boolean', 'array'],
+              items: { type: 'string' }
+            },
+            description: 'Map of field to value. Keys are matched against label text (<label for>, wrapping labels, aria-label, aria-labelledby), then name, id and placeholder, and are used as a CSS selector when nothing matches. A partial label that fits several fields fails that field instead of guessing. Values follow set_field_value: text, option value or label, true/false for checkboxes, the option to choose for radios.'
+          },
+          formSelector: {
+            type: 'string',
+            description: 'CSS selector of the form or container to fill, to avoid matching fields elsewhere on the page (whole page if not specified)',
+            optional: true
+          },
+          submit: {
+            type: 'boolean',
+            description: 'Submit the form after filling, by clicking its submit button. Skipped if any field could not be set (default: false)',
+            default: false,
+            optional: true
+          },
+          submitSelector: {
+            type: 'string',
+            description: 'CSS selector of the button to click to submit, for forms without a native submit button',
+            optional: true
+          },
+          by: {
+            type: 'string',
+            enum: ['auto', 'value', 'label', 'index'],
+            description: 'How select options are matched: "auto" tries the option value then its label (default: auto)',
+            default: 'auto',
+            optional: true
+          },
+          includeScreenshot: {
+            type: 'boolean',
+            description: 'Include a screenshot taken after filling or submitting (default: false)',
+            default: false,
+            optional: true
+          },
+          waitAfter: {
+            type: 'number',
+            description: 'Milliseconds to wait after filling or submitting (default: 500)',
+            default: 500,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          }
+        },
+        required: ['fields']
       }
+    };
+  }
 
-      const targetTabId = params.tabId || tabInfo.data.tabId;
-      responseText += `🔗 **Target Tab:** ${tabInfo.data.title} (ID: ${targetTabId})\n`;
-      responseText += `📍 **URL:** ${tabInfo.data.url}\n\n`;
+  getHoverElementSchema() {
+    return {
+      name: 'hover_element',
+      description: 'Move the mouse over an element with real mouse events, e.g. to open hover menus or show tooltips. Finds the element the same way as click_element (selector, text or ref).',
+      inputSchema: {
+        type: 'object',
+        properties: this.getMouseActionProperties('hover over')
+      }
+    };
+  }
 
-      // Take initial screenshot if requested
-      let beforeScreenshot = null;
-      if (params.includeScreenshot) {
-        const screenshotResult = await this.bridge.sendCommand('take_screenshot', {
-          tabId: targetTabId,
-          fullPage: false
-        });
-        
-        if (screenshotResult.success && screenshotResult.data.dataUrl) {
-          beforeScreenshot = screenshotResult.data.dataUrl;
-          responseText += `📸 **Before Screenshot Captured**\n`;
-        }
+  getDoubleClickSchema() {
+    return {
+      name: 'double_click',
+      description: 'Double-click an element with real mouse events, e.g. to select a word or open an item for editing. Finds the element the same way as click_element (selector, text or ref).',
+      inputSchema: {
+        type: 'object',
+        properties: this.getMouseActionProperties('double-click')
       }
+    };
+  }
 
-      // Find and click element
-      if (!params.selector && !params.text) {
-        return {
-          content: [{ 
-            type: 'text', 
-            text: responseText + `❌ **Error:** Must specify either selector or text to identify click target\\n\\n💡 **Tip:** Use get_dom_snapshot to inspect page elements first.` 
-          }],
-          isError: true,
-        };
+  getContextClickSchema() {
+    return {
+      name: 'context_click',
+      description: 'Right-click an element with real mouse events to open a custom context menu built by the page. The browser\'s own context menu is not part of the page and cannot be inspected. Finds the element the same way as click_element (selector, text or ref).',
+      inputSchema: {
+        type: 'object',
+        properties: this.getMouseActionProperties('right-click')
       }
+    };
+  }
 
-      const clickResult = await this.bridge.sendCommand('click_element_by_identifier', {
-        tabId: targetTabId,
-        selector: params.selector,
-        text: params.text
-      });
+  getDragAndDropSchema() {
+    return {
+      name: 'drag_and_drop',
+      description: 'Drag an element or point onto another element or point, e.g. to reorder a list, move a card between columns or drop onto an upload area. Each end is given by selector, text, ref, or x/y viewport coordinates. The "auto" method uses HTML5 drag events when the source is draggable="true" and real mouse events otherwise.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to perform action on (uses current active tab if not specified)',
+            optional: true
+          },
+          source: this.getDragEndpointSchema('drag from'),
+          target: this.getDragEndpointSchema('drop on'),
+          method: {
+            type: 'string',
+            enum: ['auto', 'mouse', 'html5'],
+            description: 'How the drag is performed: "mouse" presses, moves and releases the mouse (drag libraries such as sortable lists and sliders), "html5" fires dragstart/dragover/drop events (native draggable elements), "auto" picks one based on the source element (default: auto)',
+            default: 'auto',
+            optional: true
+          },
+          steps: {
+            type: 'number',
+            description: 'Number of mouse moves between source and target for the mouse method (default: 15, max: 100)',
+            minimum: 1,
+            maximum: 100,
+            default: 15,
+            optional: true
+          },
+          includeScreenshot: {
+            type: 'boolean',
+            description: 'Include a screenshot taken after the drop (default: false)',
+            default: false,
+            optional: true
+          },
+          waitAfter: {
+            type: 'number',
+            description: 'Milliseconds to wait after the drop (default: 500)',
+            default: 500,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames containing both elements (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          }
+        },
+        required: ['source', 'target']
+      }
+    };
+  }
 
-      if (clickResult.success) {
-        responseText += `✅ **Element Click Successful!**\n\n`;
-        responseText += `- ${clickResult.message || 'Element clicked successfully'}\n`;
-        responseText += `- Element: ${clickResult.elementTag || 'unknown'}\n`;
-        responseText += `- Text: "${clickResult.elementText || 'unknown'}"\n`;
-        if (clickResult.selector) {
-          responseText += `- Selector: ${clickResult.selector}\n`;
-        }
-        responseText += `\n💡 **Pro Tip:** For complex workflows, use get_dom_snapshot to inspect page changes after interactions.\n`;
-        
-        // Wait after click
+  getWaitForPopupSchema() {
+    return {
+      name: 'wait_for_popup',
+      description: 'Wait for a popup or new tab to open (e.g. from window.open or a target="_blank" link during OAuth or payment flows) and return its tab ID. Only tabs opened after the call starts are accepted, unless since reaches back further: pass the action start time reported by click_element, type_text, fill_form or the mouse tools to catch a popup that opened before this call.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          openerTabId: {
+            type: 'number',
+            description: 'Only accept tabs opened by this tab (accepts any new tab if not specified)',
+            optional: true
+          },
+          urlPattern: {
+            type: 'string',
+            description: 'Pattern the popup URL must match',
+            optional: true
+          },
+          patternType: {
+            type: 'string',
+            enum: ['substring', 'glob', 'regex'],
+            description: 'How urlPattern is interpreted (default: substring)',
+            default: 'substring',
+            optional: true
+          },
+          since: {
+            type: 'number',
+            description: 'Accept tabs opened after this timestamp in milliseconds (default: when the call starts)',
+            optional: true
+          },
+          waitForLoad: {
+            type: 'boolean',
+            description: 'Wait for the popup to finish loading before returning (default: true)',
+            default: true,
+            optional: true
+          },
+          timeout: {
+            type: 'number',
+            description: 'Maximum milliseconds to wait (default: 10000, max: 120000)',
+            minimum: 100,
+            maximum: 120000,
+            default: 10000,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getWaitForSchema() {
+    return {
+      name: 'wait_for',
+      description: 'Wait until a page condition holds instead of sleeping for a fixed time: an element appears, disappears, becomes visible or enabled, text is present, the URL matches, or a JavaScript expression is truthy. On timeout the last observed state is reported.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to watch (uses current active tab if not specified)',
+            optional: true
+          },
+          condition: {
+            type: 'string',
+            enum: [...WAIT_CONDITIONS],
+            description: 'selector_present / selector_absent: an element matching selector exists / does not exist. visible / enabled: an element matching selector is visible / visible and enabled. text: text is present in the page (or in elements matching selector). url: the tab URL matches urlPattern. expression: a JavaScript expression evaluates truthy.'
+          },
+          selector: {
+            type: 'string',
+            description: 'CSS selector for element conditions, or to scope the text condition (>>> pierces shadow roots)',
+            optional: true
+          },
+          text: {
+            type: 'string',
+            description: 'Text that must be present (text condition, case-sensitive)',
+            optional: true
+          },
+          urlPattern: {
+            type: 'string',
+            description: 'Pattern the tab URL must match (url condition)',
+            optional: true
+          },
+          patternType: {
+            type: 'string',
+            enum: ['substring', 'glob', 'regex'],
+            description: 'How urlPattern is interpreted (default: substring)',
+            default: 'substring',
+            optional: true
+          },
+          expression: {
+            type: 'string',
+            description: 'JavaScript expression evaluated in the page; promises are awaited (e.g. "window.appReady === true")',
+            optional: true
+          },
+          timeout: {
+            type: 'number',
+            description: 'Maximum milliseconds to wait (default: 10000, max: 120000)',
+            minimum: 100,
+            maximum: 120000,
+            default: 10000,
+            optional: true
+          },
+          pollInterval: {
+            type: 'number',
+            description: 'Milliseconds between checks (default: 100)',
+            minimum: 50,
+            maximum: 5000,
+            default: 100,
+            optional: true
+          }
+        },
+        required: ['condition']
+      }
+    };
+  }
+
+
+  async executeClickElement(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = ClickElementSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      let responseText = `**Browser Automation - Click Element** 🎯\n\n`;
+      const content: (TextContent | ImageContent)[] = [];
+
+      // Get current tab info
+      const tabInfo = await this.bridge.sendCommand('get_current_url', {});
+      if (!tabInfo.success) {
+        return {
+          content: [{ type: 'text', text: `Failed to get tab information: ${tabInfo.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+
+      const targetTabId = params.tabId || tabInfo.data.tabId;
+      responseText += `🔗 **Target Tab:** ${tabInfo.data.title} (ID: ${targetTabId})\n`;
+      responseText += `📍 **URL:** ${tabInfo.data.url}\n\n`;
+
+      // Take initial screenshot if requested
+      let beforeScreenshot = null;
+      if (params.includeScreenshot) {
+        const screenshotResult = await this.bridge.sendCommand('take_screenshot', {
+          tabId: targetTabId,
+          fullPage: false
+        });
+        
+        if (screenshotResult.success && screenshotResult.data.dataUrl) {
+          beforeScreenshot = screenshotResult.data.dataUrl;
+          responseText += `📸 **Before Screenshot Captured**\n`;
+        }
+      }
+
+      // Find and click element
+      if (!params.selector && !params.text && !params.ref) {
+        return {
+          content: [{ 
+            type: 'text', 
+            text: responseText + `❌ **Error:** Must specify selector, text or ref to identify click target\n\n💡 **Tip:** Use get_dom_snapshot to inspect page elements first.` 
+          }],
+          isError: true,
+        };
+      }
+
+      const clickResult = await this.bridge.sendCommand('click_element_by_identifier', {
+        tabId: targetTabId,
+        selector: params.selector,
+        text: params.text,
+        ref: params.ref,
+        frameId: params.frameId,
+        frameUrl: params.frameUrl,
+        inputMode: params.inputMode
+      });
+
+      // The extension reports a missing element as data.success === false inside a successful command
+      const clicked = clickResult.data || {};
+      if (clickResult.success && clicked.success !== false) {
+        responseText += `✅ **Element Click Successful!**\n\n`;
+        responseText += `- ${clicked.message || 'Element clicked successfully'}\n`;
+        responseText += `- Element: ${clicked.elementTag || 'unknown'}\n`;
+        responseText += `- Text: "${clicked.elementText || 'unknown'}"\n`;
+        if (clicked.selector) {
+          responseText += `- Selector: ${clicked.selector}\n`;
+        }
+        if (params.inputMode === 'trusted') {
+          responseText += `- Input Mode: trusted mouse events\n`;
+          if (clicked.obscuredBy) {
+            responseText += `- ⚠️ Click point was covered by \`${clicked.obscuredBy}\`, which may have received the click instead\n`;
+          }
+        }
+        responseText += `\n💡 **Pro Tip:** For complex workflows, use get_dom_snapshot to inspect page changes after interactions.\n`;
+        
+        // Wait after click
         const waitTime = params.waitAfterClick ?? 500;
         if (waitTime > 0) {
           await new Promise(resolve => setTimeout(resolve, waitTime));
           responseText += `- Waited: ${waitTime}ms\n`;
         }
 
+        responseText += await this.describeOpenedTabs(targetTabId, clicked.actionStartedAt);
+
         // Take after screenshot if requested
         if (params.includeScreenshot) {
           const afterScreenshotResult = await this.bridge.sendCommand('take_screenshot', {
@@ -234,7 +787,7 @@ export class BrowserAutomationTool {
         
         responseText += `🎉 **Element Click Complete**`;
       } else {
-        responseText += `❌ **Element Click Failed:** ${clickResult.error || clickResult.message}\\n\\n`;
+        responseText += `❌ **Element Click Failed:** ${clickResult.error || clicked.error || clicked.message}\n\n`;
         responseText += `💡 **Suggestion:** Use get_dom_snapshot to inspect the page structure and find the correct element selectors.`;
         return {
           content: [{ type: 'text', text: responseText }],
@@ -265,7 +818,7 @@ export class BrowserAutomationTool {
         };
       }
 
-      let responseText = `**Browser Automation - Type Text** ⌨️\\n\\n`;
+      let responseText = `**Browser Automation - Type Text** ⌨️\n\n`;
       const content: (TextContent | ImageContent)[] = [];
 
       // Get current tab info
@@ -278,9 +831,9 @@ export class BrowserAutomationTool {
       }
 
       const targetTabId = params.tabId || tabInfo.data.tabId;
-      responseText += `🔗 **Target Tab:** ${tabInfo.data.title} (ID: ${targetTabId})\\n`;
-      responseText += `📍 **URL:** ${tabInfo.data.url}\\n`;
-      responseText += `📝 **Text to Type:** "${params.textToType}"\\n\\n`;
+      responseText += `🔗 **Target Tab:** ${tabInfo.data.title} (ID: ${targetTabId})\n`;
+      responseText += `📍 **URL:** ${tabInfo.data.url}\n`;
+      responseText += `📝 **Text to Type:** "${params.textToType}"\n\n`;
 
       // Take initial screenshot if requested
       let beforeScreenshot = null;
@@ -292,16 +845,16 @@ export class BrowserAutomationTool {
         
         if (screenshotResult.success && screenshotResult.data.dataUrl) {
           beforeScreenshot = screenshotResult.data.dataUrl;
-          responseText += `📸 **Before Screenshot Captured**\\n`;
+          responseText += `📸 **Before Screenshot Captured**\n`;
         }
       }
 
       // Find and type in element
-      if (!params.selector && !params.text) {
+      if (!params.selector && !params.text && !params.ref) {
         return {
           content: [{ 
             type: 'text', 
-            text: responseText + `❌ **Error:** Must specify either selector or text to identify input target` 
+            text: responseText + `❌ **Error:** Must specify selector, text or ref to identify input target` 
           }],
           isError: true,
         };
@@ -311,31 +864,43 @@ export class BrowserAutomationTool {
         tabId: targetTabId,
         selector: params.selector,
         text: params.text,
+        ref: params.ref,
         textToType: params.textToType,
         clearFirst: params.clearFirst,
-        submit: params.submit
-      });
+        submit: params.submit,
+        frameId: params.frameId,
+        frameUrl: params.frameUrl,
+        inputMode: params.inputMode,
+        keystrokeDelay: params.keystrokeDelay
+      }, this.getTypeTimeout(params));
 
-      if (typeResult.success) {
-        responseText += `✅ **Text Input Successful!**\\n\\n`;
-        responseText += `- ${typeResult.message || 'Text entered successfully'}\\n`;
-        responseText += `- Element Type: ${typeResult.elementType || 'unknown'}\\n`;
-        responseText += `- Placeholder: "${typeResult.elementPlaceholder || 'none'}"\\n`;
-        if (typeResult.selector) {
-          responseText += `- Selector: ${typeResult.selector}\\n`;
+      // As with clicks, a missing input comes back as data.success === false
+      const typed = typeResult.data || {};
+      if (typeResult.success && typed.success !== false) {
+        responseText += `✅ **Text Input Successful!**\n\n`;
+        responseText += `- ${typed.message || 'Text entered successfully'}\n`;
+        responseText += `- Element Type: ${typed.elementType || 'unknown'}\n`;
+        responseText += `- Placeholder: "${typed.elementPlaceholder || 'none'}"\n`;
+        if (typed.selector) {
+          responseText += `- Selector: ${typed.selector}\n`;
+        }
+        if (params.inputMode === 'trusted') {
+          responseText += `- Input Mode: trusted keystrokes\n`;
         }
-        if (typeResult.submitted) {
-          responseText += `- Submitted: Yes (Enter pressed)\\n`;
+        if (typed.submitted) {
+          responseText += `- Submitted: Yes (Enter pressed)\n`;
         }
-        responseText += `\\n💡 **Pro Tip:** After form submission, use get_dom_snapshot to verify page changes or error messages.\\n`;
+        responseText += `\n💡 **Pro Tip:** After form submission, use get_dom_snapshot to verify page changes or error messages.\n`;
         
         // Wait after typing
         const waitTime = params.waitAfterType ?? 500;
         if (waitTime > 0) {
           await new Promise(resolve => setTimeout(resolve, waitTime));
-          responseText += `- Waited: ${waitTime}ms\\n`;
+          responseText += `- Waited: ${waitTime}ms\n`;
         }
 
+        responseText += await this.describeOpenedTabs(targetTabId, typed.actionStartedAt);
+
         // Take after screenshot if requested
         if (params.includeScreenshot) {
           const afterScreenshotResult = await this.bridge.sendCommand('take_screenshot', {
@@ -344,7 +909,7 @@ export class BrowserAutomationTool {
           });
           
           if (afterScreenshotResult.success && afterScreenshotResult.data.dataUrl) {
-            responseText += `📸 **After Screenshot Captured**\\n\\n`;
+            responseText += `📸 **After Screenshot Captured**\n\n`;
             
             // Add before and after screenshots to content
             if (beforeScreenshot) {
@@ -369,7 +934,7 @@ export class BrowserAutomationTool {
         
         responseText += `🎉 **Text Input Complete**`;
       } else {
-        responseText += `❌ **Text Input Failed:** ${typeResult.error || typeResult.message}\\n\\n`;
+        responseText += `❌ **Text Input Failed:** ${typeResult.error || typed.error || typed.message}\n\n`;
         responseText += `💡 **Suggestion:** Use get_dom_snapshot to inspect form elements and find the correct input field selectors.`;
         return {
           content: [{ type: 'text', text: responseText }],
@@ -388,4 +953,601 @@ export class BrowserAutomationTool {
     }
   }
 
+  async executePressKeys(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = PressKeysSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      // Leave room for the delays between keys
+      const timeout = 30000 + params.keys.length * (params.delay ?? 50) * 1.5;
+      const result = await this.bridge.sendCommand('press_keys', params, timeout);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `⌨️ **Keys Pressed** (Tab ${data.tabId})\n\n`;
+        responseText += `- Keys: ${data.keys.join(' → ')}\n`;
+        if (data.selector || data.ref) {
+          responseText += `- Focused First: ${data.ref ? `ref ${data.ref}` : data.selector}\n`;
+        }
+        if (data.frameId) {
+          responseText += `- Frame: ${data.frameId}\n`;
+        }
+        responseText += `- Focus Now: ${data.focusedElement || 'page body (nothing focused)'}\n`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to press keys: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeWaitFor(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = WaitForSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      // Allow the extension to finish its own timeout before giving up on the response
+      const timeout = params.timeout ?? 10000;
+      const result = await this.bridge.sendCommand('wait_for', params, timeout + 5000);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = data.satisfied
+          ? `✅ **Condition Met:** ${data.condition} after ${data.elapsedMs}ms\n\n`
+          : `⏱️ **Timed Out:** ${data.condition} not met after ${data.elapsedMs}ms\n\n`;
+
+        responseText += `**Tab ID:** ${data.tabId}\n`;
+        responseText += `**${data.satisfied ? 'Observed' : 'Last Observed'} State:**\n`;
+        responseText += this.formatWaitState(data.state);
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+          isError: !data.satisfied,
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to wait for condition: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeSetFieldValue(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = SetFieldValueSchema.parse(args || {});
+
+      if (!params.selector && !params.label && !params.ref) {
+        return {
+          content: [{ type: 'text', text: `❌ **Error:** Must specify selector, label or ref to identify the field\n\n💡 **Tip:** Use extract_structured with mode "forms" to list the fields on the page.` }],
+          isError: true,
+        };
+      }
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('set_field_value', params);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `✅ **Field Value Set** (Tab ${data.tabId})\n\n`;
+        responseText += `- Field: ${this.describeField(data)}\n`;
+        responseText += `- Before: ${this.formatFieldValue(data.previousValue)}\n`;
+        responseText += `- After: ${this.formatFieldValue(data.value)}`;
+        responseText += data.selectedText?.length ? ` (${data.selectedText.join(', ')})\n` : `\n`;
+        if (data.frameId) {
+          responseText += `- Frame: ${data.frameId}\n`;
+        }
+        if (data.adjusted) {
+          responseText += `- ⚠️ The value was adjusted to fit the field's min, max and step\n`;
+        }
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to set field value: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeFillForm(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = FillFormSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('fill_form', params);
+
+      if (!result.success) {
+        return {
+          content: [{ type: 'text', text: `Failed to fill form: ${result.error || 'Unknown error'}\n\n💡 **Tip:** Use extract_structured with mode "forms" to list the fields on the page.` }],
+          isError: true,
+        };
+      }
+
+      const data = result.data;
+      const filled = data.results.filter((field: any) => field.success).length;
+      const total = data.results.length;
+
+      let responseText = filled === total
+        ? `✅ **Form Filled** (Tab ${data.tabId}): ${filled} of ${total} fields set\n\n`
+        : `⚠️ **Form Partly Filled** (Tab ${data.tabId}): ${filled} of ${total} fields set\n\n`;
+
+      data.results.forEach((field: any) => {
+        if (field.success) {
+          responseText += `✅ **${field.key}** → ${this.describeField(field)}: ${this.formatFieldValue(field.value)}`;
+          responseText += field.selectedText?.length ? ` (${field.selectedText.join(', ')})\n` : `\n`;
+          if (field.adjusted) {
+            responseText += `   ⚠️ Adjusted to fit the field's min, max and step\n`;
+          }
+          if (field.validationMessage) {
+            responseText += `   ⚠️ Invalid: ${field.validationMessage}\n`;
+          }
+        } else {
+          responseText += `❌ **${field.key}**: ${field.error}\n`;
+        }
+      });
+
+      if (data.frameId) {
+        responseText += `\n- Frame: ${data.frameId}\n`;
+      }
+
+      if (data.submitted) {
+        const via = data.submission.button ? `"${data.submission.button}" button` : 'requestSubmit()';
+        responseText += `\n📨 **Submitted** via ${via}\n`;
+        responseText += await this.describeOpenedTabs(data.tabId, data.actionStartedAt);
+      } else if (data.submitError) {
+        responseText += `\n⏭️ **Not Submitted:** ${data.submitError}\n`;
+      }
+
+      return {
+        content: await this.finishAction(data.tabId, responseText, params.waitAfter ?? 500, params.includeScreenshot),
+        isError: filled === 0,
+      };
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeHoverElement(args: unknown): Promise<CallToolResult> {
+    return this.runMouseAction('hover_element', args);
+  }
+
+  async executeDoubleClick(args: unknown): Promise<CallToolResult> {
+    return this.runMouseAction('double_click', args);
+  }
+
+  async executeContextClick(args: unknown): Promise<CallToolResult> {
+    return this.runMouseAction('context_click', args);
+  }
+
+  async executeDragAndDrop(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = DragAndDropSchema.parse(args || {});
+
+      const missing = (['source', 'target'] as const).filter(role => !this.hasDragEndpoint(params[role]));
+      if (missing.length > 0) {
+        return {
+          content: [{ type: 'text', text: `❌ **Error:** ${missing.join(' and ')} must have a selector, text, ref, or both x and y` }],
+          isError: true,
+        };
+      }
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      // Leave room for the paced mouse moves
+      const timeout = 30000 + (params.steps ?? 15) * 50;
+      const result = await this.bridge.sendCommand('drag_and_drop', params, timeout);
+
+      if (!result.success) {
+        return {
+          content: [{ type: 'text', text: `❌ **Drag and Drop Failed:** ${result.error || 'Unknown error'}\n\n💡 **Suggestion:** Use get_dom_snapshot to inspect the page structure and find the correct element selectors.` }],
+          isError: true,
+        };
+      }
+
+      const data = result.data;
+      let responseText = `✅ **Dragged and Dropped** (Tab ${data.tabId})\n\n`;
+      responseText += `- From: ${this.formatMouseTarget(data.source)}\n`;
+      responseText += `- To: ${this.formatMouseTarget(data.target)}\n`;
+      responseText += `- Method: ${data.method === 'html5' ? 'HTML5 drag events' : 'trusted mouse events'}\n`;
+      if (data.frameId) {
+        responseText += `- Frame: ${data.frameId}\n`;
+      }
+      if (data.method === 'html5') {
+        responseText += data.dropAccepted
+          ? `- Drop accepted by the target\n`
+          : `- ⚠️ The target did not accept the drop (no drop handler called preventDefault). Try method "mouse" if the page uses a drag library.\n`;
+      }
+      for (const role of ['source', 'target'] as const) {
+        if (data[role].obscuredBy) {
+          responseText += `- ⚠️ The ${role} point was covered by \`${data[role].obscuredBy}\`\n`;
+        }
+      }
+
+      return {
+        content: await this.finishAction(data.tabId, responseText, params.waitAfter ?? 500, params.includeScreenshot)
+      };
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeWaitForPopup(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = WaitForPopupSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const timeout = params.timeout ?? 10000;
+      const result = await this.bridge.sendCommand('wait_for_popup', params, timeout + 5000);
+
+      if (result.success) {
+        const data = result.data;
+
+        if (!data.satisfied) {
+          let responseText = `⏱️ **Timed Out:** no matching popup opened after ${data.elapsedMs}ms\n`;
+          if (data.recentTabs.length > 0) {
+            responseText += `\n**Recently Opened Tabs:**\n`;
+            data.recentTabs.forEach((tab: any) => {
+              responseText += `- Tab ID ${tab.tabId}${tab.openerTabId ? ` (opened by ${tab.openerTabId})` : ''}: ${tab.url || '(blank)'}${tab.closedAt ? ' (closed)' : ''}\n`;
+            });
+          }
+          return {
+            content: [{ type: 'text', text: responseText }],
+            isError: true,
+          };
+        }
+
+        const popup = data.popup;
+        let responseText = `✅ **Popup Opened** after ${data.elapsedMs}ms\n\n`;
+        responseText += `**Tab ID:** ${popup.tabId}\n`;
+        responseText += `**URL:** ${popup.url}\n`;
+        responseText += `**Title:** ${popup.title || '(untitled)'}\n`;
+        responseText += `**Window:** ${popup.windowId}\n`;
+        if (popup.openerTabId) {
+          responseText += `**Opened By Tab:** ${popup.openerTabId}\n`;
+        }
+        if (popup.loaded === false) {
+          responseText += `\n⚠️ Popup did not finish loading within the timeout\n`;
+        }
+        responseText += `\n💡 Pass tabId ${popup.tabId} to other tools to interact with the popup.`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to wait for popup: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // e.g. select "Country" (#country)
+  private describeField(field: any): string {
+    let text = field.type;
+    if (field.label || field.name) {
+      text += ` "${field.label || field.name}"`;
+    }
+    if (field.selector) {
+      text += ` (\`${field.selector}\`)`;
+    }
+    return text;
+  }
+
+  private formatFieldValue(value: unknown): string {
+    if (value === null || value === undefined) {
+      return '(none)';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'checked' : 'unchecked';
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.map(item => JSON.stringify(item)).join(', ') : '(none selected)';
+    }
+    return JSON.stringify(value);
+  }
+
+  private getMouseActionProperties(action: string) {
+    return {
+      tabId: {
+        type: 'number',
+        description: 'Tab ID to perform action on (uses current active tab if not specified)',
+        optional: true
+      },
+      selector: {
+        type: 'string',
+        description: `CSS selector of the element to ${action}. Use >>> to reach inside shadow roots.`,
+        optional: true
+      },
+      text: {
+        type: 'string',
+        description: 'Text content to search for in clickable elements (e.g., "Settings", "Edit")',
+        optional: true
+      },
+      ref: {
+        type: 'string',
+        description: 'Element ref from get_accessibility_snapshot (e.g., "e12"). Refs stay valid until the next snapshot of the tab.',
+        optional: true
+      },
+      includeScreenshot: {
+        type: 'boolean',
+        description: 'Include a screenshot taken after the action (default: false)',
+        default: false,
+        optional: true
+      },
+      waitAfter: {
+        type: 'number',
+        description: 'Milliseconds to wait after the action, e.g. for menus to appear (default: 500)',
+        default: 500,
+        optional: true
+      },
+      frameId: {
+        type: 'number',
+        description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+        optional: true
+      },
+      frameUrl: {
+        type: 'string',
+        description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+        optional: true
+      }
+    };
+  }
+
+  private getDragEndpointSchema(role: string) {
+    return {
+      type: 'object',
+      description: `Element or point to ${role}: give selector, text or ref, or x and y viewport coordinates`,
+      properties: {
+        selector: { type: 'string', description: 'CSS selector of the element', optional: true },
+        text: { type: 'string', description: 'Text content to search for in clickable elements', optional: true },
+        ref: { type: 'string', description: 'Element ref from get_accessibility_snapshot', optional: true },
+        x: { type: 'number', description: 'Viewport x coordinate in CSS pixels', optional: true },
+        y: { type: 'number', description: 'Viewport y coordinate in CSS pixels', optional: true }
+      }
+    };
+  }
+
+  private hasDragEndpoint(endpoint: z.infer<typeof DragEndpointSchema>): boolean {
+    return Boolean(endpoint.selector || endpoint.text || endpoint.ref || (endpoint.x !== undefined && endpoint.y !== undefined));
+  }
+
+  private async runMouseAction(command: keyof typeof MOUSE_ACTIONS, args: unknown): Promise<CallToolResult> {
+    const { title, failure, action } = MOUSE_ACTIONS[command];
+
+    try {
+      const params = MouseActionSchema.parse(args || {});
+
+      if (!params.selector && !params.text && !params.ref) {
+        return {
+          content: [{ type: 'text', text: `❌ **Error:** Must specify selector, text or ref to identify the element to ${action}\n\n💡 **Tip:** Use get_dom_snapshot to inspect page elements first.` }],
+          isError: true,
+        };
+      }
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand(command, params);
+
+      if (!result.success) {
+        return {
+          content: [{ type: 'text', text: `❌ **${failure} Failed:** ${result.error || 'Unknown error'}\n\n💡 **Suggestion:** Use get_dom_snapshot to inspect the page structure and find the correct element selectors.` }],
+          isError: true,
+        };
+      }
+
+      const data = result.data;
+      let responseText = `✅ **${title}** (Tab ${data.tabId})\n\n`;
+      responseText += `- Element: ${this.formatMouseTarget(data)}\n`;
+      if (data.frameId) {
+        responseText += `- Frame: ${data.frameId}\n`;
+      }
+      if (data.obscuredBy) {
+        responseText += `- ⚠️ The element was covered by \`${data.obscuredBy}\`, which may have received the events instead\n`;
+      }
+
+      responseText += await this.describeOpenedTabs(data.tabId, data.actionStartedAt);
+
+      return {
+        content: await this.finishAction(data.tabId, responseText, params.waitAfter ?? 500, params.includeScreenshot)
+      };
+
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private formatMouseTarget(target: any): string {
+    const point = `(${Math.round(target.point.x)}, ${Math.round(target.point.y)})`;
+    if (!target.elementTag) {
+      return `point ${point}`;
+    }
+    const text = target.elementText ? ` "${target.elementText}"` : '';
+    return `<${target.elementTag}>${text} at ${point}, found by ${target.method}`;
+  }
+
+  // Wait for the page to react, then attach an after screenshot if requested
+  private async finishAction(
+    tabId: number,
+    responseText: string,
+    waitAfter: number,
+    includeScreenshot: boolean | undefined
+  ): Promise<(TextContent | ImageContent)[]> {
+    if (waitAfter > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitAfter));
+      responseText += `- Waited: ${waitAfter}ms\n`;
+    }
+
+    const content: (TextContent | ImageContent)[] = [];
+    if (includeScreenshot) {
+      const screenshotResult = await this.bridge.sendCommand('take_screenshot', { tabId, fullPage: false });
+      if (screenshotResult.success && screenshotResult.data.dataUrl) {
+        content.push({ type: 'text', text: responseText + `📸 **After Screenshot:**` });
+        content.push({
+          type: 'image',
+          data: screenshotResult.data.dataUrl.replace(/^data:image\/[a-z]+;base64,/, ''),
+          mimeType: 'image/png'
+        });
+        return content;
+      }
+    }
+
+    content.push({ type: 'text', text: responseText });
+    return content;
+  }
+
+  /**
+   * List tabs and popups opened by the tab since an action started, so agents can follow them
+   */
+  private async describeOpenedTabs(openerTabId: number, since: number | undefined): Promise<string> {
+    if (!since) {
+      return '';
+    }
+
+    try {
+      const result = await this.bridge.sendCommand('get_opened_tabs', { openerTabId, since });
+      const openedTabs = result.success ? result.data.openedTabs : [];
+      if (openedTabs.length === 0) {
+        return `- Action Started: ${since} (pass as since to wait_for_popup if a popup is expected)\n`;
+      }
+
+      let text = `\n🪟 **New Tab${openedTabs.length > 1 ? 's' : ''} Opened:**\n`;
+      openedTabs.forEach((tab: any) => {
+        text += `- Tab ID ${tab.tabId}${tab.url ? `: ${tab.url}` : ''}${tab.closedAt ? ' (already closed)' : ''}\n`;
+      });
+      text += `Pass the tab ID to other tools, or use wait_for_popup to wait for it to load.\n\n`;
+      return text;
+    } catch {
+      return '';
+    }
+  }
+
+  // Trusted typing takes about keystrokeDelay per character, so long text needs more than the default timeout
+  private getTypeTimeout(params: z.infer<typeof TypeTextSchema>): number {
+    if (params.inputMode !== 'trusted') {
+      return 30000;
+    }
+    return 30000 + params.textToType.length * (params.keystrokeDelay ?? 80) * 1.5;
+  }
+
+  private formatWaitState(state: any): string {
+    if (!state) {
+      return `• *No state observed*\n`;
+    }
+
+    let text = '';
+    if (state.error) {
+      text += `• **Error:** ${state.error}\n`;
+    }
+    if (state.url !== undefined) {
+      text += `• **URL:** ${state.url}\n`;
+    }
+    if (state.value !== undefined) {
+      text += `• **Value:** ${state.value}\n`;
+    }
+    if (state.matchCount !== undefined) {
+      text += `• **Matching Elements:** ${state.matchCount}\n`;
+    }
+    if (state.firstMatch) {
+      const match = state.firstMatch;
+      text += `• **Element:** <${match.tag}${match.id ? ` id="${match.id}"` : ''}> ${match.visible ? 'visible' : 'hidden'}, ${match.enabled ? 'enabled' : 'disabled'}`;
+      text += match.text ? ` - "${match.text}"\n` : '\n';
+    }
+    if (state.textExcerpt !== undefined) {
+      text += `• **Text:** ${state.textExcerpt === null ? '(no matching element)' : `"${state.textExcerpt}"`}\n`;
+    }
+    return text;
+  }
+
 }
\ No newline at end of file
@@ -2,13 +2,56 @@ import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import { ExtensionBridge } from '../utils/extension-bridge.js';
 import { BrowserInterface } from '../types/browser-interface.js';
+import { diffDomTrees, DomChange, DomElementNode } from '../utils/dom-diff.js';
 
 const GetDomSnapshotSchema = z.object({
   tabId: z.number().optional().describe('Tab ID to get DOM from (current active tab if not specified)'),
   includeStyles: z.boolean().default(false).optional().describe('Include computed styles (default: false)'),
   selector: z.string().optional().describe('CSS selector to capture specific element (captures full document if not specified)'),
   maxLength: z.number().default(10000).optional().describe('Maximum HTML content length to return (default: 10000 chars)'),
-  smartExtraction: z.boolean().default(true).optional().describe('Enable intelligent framework detection and extraction (default: true)')
+  smartExtraction: z.boolean().default(true).optional().describe('Enable intelligent framework detection and extraction (default: true)'),
+  includeShadowDom: z.boolean().default(false).optional().describe('Serialise open shadow roots as <template shadowrootmode> elements (default: false)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring'),
+  snapshotName: z.string().min(1).optional().describe('Store the snapshot under this name for diff_dom_snapshots')
+});
+
+const DiffDomSnapshotsSchema = z.object({
+  before: z.string().describe('Name of the earlier snapshot'),
+  after: z.string().optional().describe('Name of the later snapshot (live page if not specified)'),
+  saveAfterAs: z.string().min(1).optional().describe('Store the live page capture under this name'),
+  ignoreAttributes: z.array(z.string()).optional().describe('Attribute names to ignore'),
+  maxChanges: z.number().min(1).max(500).default(50).optional().describe('Maximum number of changes to list (default: 50)')
+});
+
+const ExtractPageContentSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to extract from (current active tab if not specified)'),
+  selector: z.string().optional().describe('CSS selector of the element to extract (main content if not specified)'),
+  includeLinks: z.boolean().default(true).optional().describe('Keep links as Markdown links with absolute URLs (default: true)'),
+  includeImages: z.boolean().default(true).optional().describe('Keep images as Markdown images with alt text (default: true)'),
+  stripBoilerplate: z.boolean().default(true).optional().describe('Remove navigation, headers, footers, cookie banners and similar blocks (default: true)'),
+  maxLength: z.number().min(500).default(20000).optional().describe('Maximum Markdown length to return (default: 20000 chars)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const ExtractStructuredSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to extract from (current active tab if not specified)'),
+  mode: z.enum(['tables', 'forms', 'links', 'metadata']).describe('What to extract'),
+  selector: z.string().optional().describe('CSS selector limiting extraction to one element (whole page if not specified)'),
+  limit: z.number().min(1).max(1000).default(100).optional().describe('Maximum rows per table, fields per form, or links (default: 100)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
+});
+
+const GetAccessibilitySnapshotSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to snapshot (current active tab if not specified)'),
+  interestingOnly: z.boolean().default(true).optional().describe('Drop unnamed structural nodes and redundant text (default: true)'),
+  maxNodes: z.number().min(10).max(5000).default(500).optional().describe('Maximum number of nodes to return (default: 500)')
+});
+
+const ListFramesSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to list frames for (current active tab if not specified)')
 });
 
 interface FrameworkInfo {
@@ -24,8 +67,23 @@ interface ExtractionStrategy {
   description: string;
 }
 
+interface StoredDomSnapshot {
+  name: string;
+  tabId: number;
+  url: string;
+  selector: string | null;
+  frameId: number;
+  includeShadowDom: boolean;
+  tree: DomElementNode;
+  capturedAt: number;
+}
+
+// Oldest named snapshots are dropped beyond this
+const MAX_STORED_SNAPSHOTS = 20;
+
 export class BrowserDomTool {
   private bridge: BrowserInterface;
+  private snapshots = new Map<string, StoredDomSnapshot>();
 
   constructor(bridge: BrowserInterface) {
     this.bridge = bridge;
@@ -414,7 +472,7 @@ export class BrowserDomTool {
           },
           selector: {
             type: 'string',
-            description: 'CSS selector to capture specific element (captures full document if not specified). Common patterns: "button" for buttons, "input[type=\'password\']" for password fields, "[data-testid=\'login\']" for test elements.',
+            description: 'CSS selector to capture specific element (captures full document if not specified). Common patterns: "button" for buttons, "input[type=\'password\']" for password fields, "[data-testid=\'login\']" for test elements. Use >>> to reach inside shadow roots (e.g., "my-app >>> .toolbar").',
             optional: true
           },
           maxLength: {
@@ -428,12 +486,614 @@ export class BrowserDomTool {
             description: 'Enable intelligent framework detection and extraction (default: true)',
             default: true,
             optional: true
+          },
+          includeShadowDom: {
+            type: 'boolean',
+            description: 'Include the contents of open shadow roots, serialised as <template shadowrootmode="open"> elements. Needed for web-component design systems such as Lit or Shoelace (default: false)',
+            default: false,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          },
+          snapshotName: {
+            type: 'string',
+            description: 'Store this snapshot under a name (e.g. "before-submit") so diff_dom_snapshots can later report what changed. Reusing a name replaces the stored snapshot.',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getDiffDomSnapshotsSchema() {
+    return {
+      name: 'diff_dom_snapshots',
+      description: 'Report what changed in the DOM between two snapshots stored with get_dom_snapshot\'s snapshotName, or between a stored snapshot and the live page: added and removed elements, attribute changes and text changes, each with a CSS path. Typical use: get_dom_snapshot with snapshotName → click_element → diff_dom_snapshots. Much cheaper than re-reading the whole page.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          before: {
+            type: 'string',
+            description: 'Name of the earlier snapshot'
+          },
+          after: {
+            type: 'string',
+            description: 'Name of the later snapshot. When not specified, the live page is captured with the same tab, selector, frame and shadow DOM settings as the earlier snapshot.',
+            optional: true
+          },
+          saveAfterAs: {
+            type: 'string',
+            description: 'When comparing with the live page, store the new capture under this name so the next diff can start from it',
+            optional: true
+          },
+          ignoreAttributes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Attribute names to ignore, e.g. ["style", "aria-describedby"] for pages that rewrite them constantly. Form values are compared as ":value" and ":checked".',
+            optional: true
+          },
+          maxChanges: {
+            type: 'number',
+            description: 'Maximum number of changes to list; counts always cover every change (default: 50, max: 500)',
+            minimum: 1,
+            maximum: 500,
+            default: 50,
+            optional: true
+          }
+        },
+        required: ['before']
+      }
+    };
+  }
+
+  async executeDiffDomSnapshots(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = DiffDomSnapshotsSchema.parse(args || {});
+
+      const before = this.snapshots.get(params.before);
+      if (!before) {
+        return {
+          content: [{ type: 'text', text: this.unknownSnapshotMessage(params.before) }],
+          isError: true,
+        };
+      }
+
+      let after: StoredDomSnapshot;
+      if (params.after) {
+        const stored = this.snapshots.get(params.after);
+        if (!stored) {
+          return {
+            content: [{ type: 'text', text: this.unknownSnapshotMessage(params.after) }],
+            isError: true,
+          };
+        }
+        after = stored;
+      } else {
+        const isConnected = await this.bridge.isConnected();
+        if (!isConnected) {
+          return {
+            content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+            isError: true,
+          };
+        }
+
+        const result = await this.bridge.sendCommand('get_dom_snapshot', {
+          tabId: before.tabId,
+          selector: before.selector ?? undefined,
+          frameId: before.frameId || undefined,
+          includeShadowDom: before.includeShadowDom,
+          captureTree: true,
+          captureHtml: false
+        });
+
+        if (!result.success) {
+          return {
+            content: [{ type: 'text', text: `Failed to capture live page: ${result.error || 'Unknown error'}` }],
+            isError: true,
+          };
+        }
+
+        after = {
+          name: params.saveAfterAs || 'live page',
+          tabId: result.data.tabId,
+          url: result.data.url,
+          selector: before.selector,
+          frameId: before.frameId,
+          includeShadowDom: before.includeShadowDom,
+          tree: result.data.tree,
+          capturedAt: Date.now()
+        };
+        if (params.saveAfterAs) {
+          this.storeSnapshot(after);
+        }
+      }
+
+      const diff = diffDomTrees(before.tree, after.tree, {
+        ignoreAttributes: params.ignoreAttributes,
+        maxChanges: params.maxChanges ?? 50
+      });
+
+      let responseText = `**DOM Diff** (Tab ${after.tabId})\n\n`;
+      responseText += `**Before:** "${before.name}" (captured ${this.formatAge(before.capturedAt)})\n`;
+      responseText += `**After:** ${params.after ? `"${after.name}" (captured ${this.formatAge(after.capturedAt)})` : `live page${params.saveAfterAs ? ` (stored as "${params.saveAfterAs}")` : ''}`}\n`;
+      responseText += `**Scope:** ${after.selector || 'full document'}${after.frameId ? ` in frame ${after.frameId}` : ''}\n`;
+      if (before.url !== after.url) {
+        responseText += `⚠️ **URL Changed:** ${before.url} → ${after.url}\n`;
+      }
+      if (before.selector !== after.selector || before.tabId !== after.tabId) {
+        responseText += `⚠️ Snapshots were taken with different tabs or selectors, so most of the tree may differ\n`;
+      }
+
+      const total = diff.counts.added + diff.counts.removed + diff.counts.attribute + diff.counts.text;
+      if (total === 0) {
+        responseText += `\n✅ No changes detected`;
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      }
+
+      responseText += `**Changes:** ${diff.counts.added} added, ${diff.counts.removed} removed, ${diff.counts.attribute} attribute, ${diff.counts.text} text\n\n`;
+      diff.changes.forEach(change => {
+        responseText += this.formatDomChange(change) + '\n';
+      });
+      if (diff.truncated) {
+        responseText += `\n... ${total - diff.changes.length} more changes (raise maxChanges to see them)`;
+      }
+
+      return {
+        content: [{ type: 'text', text: responseText }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private storeSnapshot(snapshot: StoredDomSnapshot): void {
+    // Re-inserting moves the name to the newest position
+    this.snapshots.delete(snapshot.name);
+    this.snapshots.set(snapshot.name, snapshot);
+
+    while (this.snapshots.size > MAX_STORED_SNAPSHOTS) {
+      const oldest = this.snapshots.keys().next().value as string;
+      this.snapshots.delete(oldest);
+    }
+  }
+
+  private unknownSnapshotMessage(name: string): string {
+    const names = Array.from(this.snapshots.keys());
+    return `No snapshot named "${name}". ${names.length > 0 ? `Stored snapshots: ${names.map(stored => `"${stored}"`).join(', ')}` : 'Store one with get_dom_snapshot and snapshotName first.'}`;
+  }
+
+  private formatAge(timestamp: number): string {
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    return seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)}m ago`;
+  }
+
+  private formatDomChange(change: DomChange): string {
+    const quote = (value: string | null | undefined) => {
+      if (value === null || value === undefined) {
+        return '(none)';
+      }
+      return `"${value.length > 100 ? value.substring(0, 100) + '…' : value}"`;
+    };
+
+    switch (change.type) {
+      case 'added':
+        return `➕ **Added** in \`${change.path}\`: \`${change.node}\``;
+      case 'removed':
+        return `➖ **Removed** from \`${change.path}\`: \`${change.node}\``;
+      case 'attribute':
+        return `✏️ **Attribute** \`${change.attribute}\` on \`${change.path}\`: ${quote(change.oldValue)} → ${quote(change.newValue)}`;
+      case 'text':
+        return `✏️ **Text** in \`${change.path}\`: ${quote(change.oldValue)} → ${quote(change.newValue)}`;
+    }
+  }
+
+  getExtractPageContentSchema() {
+    return {
+      name: 'extract_page_content',
+      description: 'Extract the readable content of the page as clean Markdown: headings, lists, tables, links with absolute URLs and image alt text. Navigation, page headers and footers, cookie banners and similar boilerplate are removed. Use this instead of get_dom_snapshot when you only need to read the page.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to extract from (uses current active tab if not specified)',
+            optional: true
+          },
+          selector: {
+            type: 'string',
+            description: 'CSS selector of the element to extract. When not specified, the page\'s single <main> or <article> is used, falling back to the whole body. Use >>> to reach inside shadow roots.',
+            optional: true
+          },
+          includeLinks: {
+            type: 'boolean',
+            description: 'Keep links as Markdown links with absolute URLs; when false only the link text is kept (default: true)',
+            default: true,
+            optional: true
+          },
+          includeImages: {
+            type: 'boolean',
+            description: 'Keep images as Markdown images with their alt text (default: true)',
+            default: true,
+            optional: true
+          },
+          stripBoilerplate: {
+            type: 'boolean',
+            description: 'Remove navigation, page headers and footers, sidebars, cookie banners, ads and similar blocks using heuristics (default: true)',
+            default: true,
+            optional: true
+          },
+          maxLength: {
+            type: 'number',
+            description: 'Maximum Markdown length to return (default: 20000 chars)',
+            minimum: 500,
+            default: 20000,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeExtractPageContent(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = ExtractPageContentSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('extract_page_content', params);
+
+      if (result.success) {
+        const data = result.data;
+        const maxLength = params.maxLength ?? 20000;
+        const markdown = this.truncateMarkdown(data.markdown, maxLength);
+
+        let responseText = `**Page Content** (Tab ${data.tabId})\n\n`;
+        responseText += `**URL:** ${data.url}\n`;
+        responseText += `**Title:** ${data.title}\n`;
+        if (data.frameId) {
+          responseText += `**Frame:** ${data.frameId} (${data.frameUrl})\n`;
+        }
+        responseText += `**Source:** ${data.source}\n`;
+        if (data.removedBlocks > 0) {
+          responseText += `**Boilerplate Removed:** ${data.removedBlocks} block${data.removedBlocks === 1 ? '' : 's'}\n`;
+        }
+        responseText += `**Length:** ${data.markdown.length} chars (~${data.wordCount} words)${markdown.length < data.markdown.length ? ' (truncated)' : ''}\n`;
+        responseText += `\n---\n\n${markdown || '*No readable content found*'}`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to extract page content: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  getExtractStructuredSchema() {
+    return {
+      name: 'extract_structured',
+      description: 'Extract structured data from the page as JSON. Modes: "tables" (rows keyed by detected headers), "forms" (fields with labels, types, required flags, current values and reusable selectors), "links" (text, absolute href, rel) and "metadata" (title, meta tags, OpenGraph, Twitter cards, JSON-LD and microdata). Use this instead of parsing get_dom_snapshot HTML.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to extract from (uses current active tab if not specified)',
+            optional: true
+          },
+          mode: {
+            type: 'string',
+            enum: ['tables', 'forms', 'links', 'metadata'],
+            description: 'What to extract: tables, forms, links or metadata'
+          },
+          selector: {
+            type: 'string',
+            description: 'CSS selector limiting extraction to one element, e.g. "#results" for tables or "form.checkout" for forms (whole page if not specified; meta tags and JSON-LD are always read from the whole document). Use >>> to reach inside shadow roots.',
+            optional: true
+          },
+          limit: {
+            type: 'number',
+            description: 'Maximum rows per table, fields per form, or links to return (default: 100, max: 1000)',
+            minimum: 1,
+            maximum: 1000,
+            default: 100,
+            optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to target (uses the main frame if not specified)',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
+          }
+        },
+        required: ['mode']
+      }
+    };
+  }
+
+  async executeExtractStructured(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = ExtractStructuredSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('extract_structured', params);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `**Structured Data: ${params.mode}** (Tab ${data.tabId})\n\n`;
+        responseText += `**URL:** ${data.url}\n`;
+        if (data.frameId) {
+          responseText += `**Frame:** ${data.frameId} (${data.frameUrl})\n`;
+        }
+        if (params.selector) {
+          responseText += `**Selector:** ${params.selector}\n`;
+        }
+
+        let payload: unknown;
+        switch (params.mode) {
+          case 'tables': {
+            payload = data.tables;
+            responseText += `**Tables Found:** ${data.tables.length}\n`;
+            const truncated = data.tables.filter((table: any) => table.rows.length < table.rowCount);
+            if (truncated.length > 0) {
+              responseText += `⚠️ ${truncated.length} table${truncated.length === 1 ? '' : 's'} truncated to ${params.limit ?? 100} rows\n`;
+            }
+            break;
+          }
+          case 'forms': {
+            payload = data.forms;
+            const fieldCount = data.forms.reduce((total: number, form: any) => total + form.fieldCount, 0);
+            responseText += `**Forms Found:** ${data.forms.filter((form: any) => form.form !== null).length} (${fieldCount} fields)\n`;
+            break;
+          }
+          case 'links': {
+            payload = data.links;
+            const externalCount = data.links.filter((link: any) => link.external).length;
+            responseText += `**Links:** ${data.links.length} shown of ${data.totalLinks} (${externalCount} external)\n`;
+            break;
+          }
+          case 'metadata': {
+            payload = data.metadata;
+            responseText += `**Title:** ${data.metadata.title}\n`;
+            responseText += `**OpenGraph Tags:** ${Object.keys(data.metadata.openGraph).length}\n`;
+            responseText += `**JSON-LD Blocks:** ${data.metadata.jsonLd.length}\n`;
+            responseText += `**Microdata Items:** ${data.metadata.microdata.length}\n`;
+            break;
+          }
+        }
+
+        responseText += `\n\`\`\`json\n${JSON.stringify(payload, null, 2)}\n\`\`\``;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to extract ${params.mode}: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private truncateMarkdown(markdown: string, maxLength: number): string {
+    if (markdown.length <= maxLength) {
+      return markdown;
+    }
+
+    // Prefer cutting at a paragraph boundary close to the limit
+    const paragraphEnd = markdown.lastIndexOf('\n\n', maxLength);
+    const truncateAt = paragraphEnd > maxLength * 0.8 ? paragraphEnd : maxLength;
+
+    return markdown.substring(0, truncateAt) + `\n\n*[Truncated: ${markdown.length - truncateAt} more chars]*`;
+  }
+
+  getAccessibilitySnapshotSchema() {
+    return {
+      name: 'get_accessibility_snapshot',
+      description: 'Get a compact accessibility tree of the page (role, name, value and state of each node). Interactive nodes carry a short ref such as [ref=e12] that can be passed to click_element or type_text instead of a selector. Much smaller than get_dom_snapshot and keeps the interactive structure.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to snapshot (uses current active tab if not specified)',
+            optional: true
+          },
+          interestingOnly: {
+            type: 'boolean',
+            description: 'Drop unnamed structural nodes (generic divs and spans) and text repeated from the parent (default: true)',
+            default: true,
+            optional: true
+          },
+          maxNodes: {
+            type: 'number',
+            description: 'Maximum number of nodes to return (default: 500, max: 5000)',
+            minimum: 10,
+            maximum: 5000,
+            default: 500,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeGetAccessibilitySnapshot(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = GetAccessibilitySnapshotSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('get_accessibility_snapshot', params);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `**Accessibility Snapshot** (Tab ${data.tabId})\n\n`;
+        responseText += `**URL:** ${data.url}\n`;
+        responseText += `**Title:** ${data.title}\n`;
+        responseText += `**Nodes:** ${data.nodes.length} shown of ${data.totalNodes}${data.truncated ? ' (truncated, raise maxNodes to see more)' : ''}\n\n`;
+
+        responseText += '```\n';
+        data.nodes.forEach((node: any) => {
+          responseText += this.formatAccessibilityNode(node) + '\n';
+        });
+        responseText += '```\n';
+        responseText += `\n💡 Pass a ref (e.g. ref: "e12") to click_element or type_text. Refs are replaced by the next snapshot.`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to get accessibility snapshot: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private formatAccessibilityNode(node: any): string {
+    let line = `${'  '.repeat(node.depth)}- ${node.role === 'StaticText' ? 'text' : node.role}`;
+    if (node.name) {
+      line += ` "${node.name.length > 100 ? node.name.substring(0, 100) + '…' : node.name}"`;
+    }
+    if (node.ref) {
+      line += ` [ref=${node.ref}]`;
+    }
+    if (node.value !== undefined) {
+      line += ` value="${node.value}"`;
+    }
+    if (node.properties) {
+      const states = Object.entries(node.properties).map(([key, value]) => value === true ? key : `${key}=${value}`);
+      line += ` (${states.join(', ')})`;
+    }
+    return line;
+  }
+
+  getListFramesSchema() {
+    return {
+      name: 'list_frames',
+      description: 'List the frames (iframes) in a tab with their frame ID, parent and URL. Pass a frameId or frameUrl to get_dom_snapshot, click_element, type_text or take_screenshot to work inside an iframe.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to list frames for (uses current active tab if not specified)',
+            optional: true
           }
         }
       }
     };
   }
 
+  async executeListFrames(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = ListFramesSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('list_frames', params);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `**Frames** (Tab ${data.tabId})\n\n`;
+        responseText += `**Total Frames:** ${data.frames.length}\n\n`;
+
+        data.frames.forEach((frame: any) => {
+          const indent = '  '.repeat(frame.depth);
+          const label = frame.frameId === 0 ? 'main frame' : `parent ${frame.parentFrameId}`;
+          responseText += `${indent}• **[${frame.frameId}]** ${frame.url || '(no URL)'} _(${label}${frame.errorOccurred ? ', failed to load' : ''})_\n`;
+        });
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to list frames: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
   async execute(args: unknown): Promise<CallToolResult> {
     try {
       const params = GetDomSnapshotSchema.parse(args || {});
@@ -446,7 +1106,10 @@ export class BrowserDomTool {
         };
       }
 
-      const result = await this.bridge.sendCommand('get_dom_snapshot', params);
+      const result = await this.bridge.sendCommand('get_dom_snapshot', {
+        ...params,
+        captureTree: params.snapshotName !== undefined
+      });
 
       if (result.success) {
         const data = result.data;
@@ -460,12 +1123,32 @@ export class BrowserDomTool {
         
         responseText += `**URL:** ${data.url}\n`;
         responseText += `**Title:** ${data.title}\n`;
+        if (data.frameId) {
+          responseText += `**Frame:** ${data.frameId} (${data.frameUrl})\n`;
+        }
+        if (data.includeShadowDom) {
+          responseText += `**Shadow DOM:** Open shadow roots included\n`;
+        }
         responseText += `**Original HTML Size:** ${Math.round(data.html.length / 1024)}KB\n`;
         
         if (data.elementCount !== undefined) {
           responseText += `**Elements Found:** ${data.elementCount}\n`;
         }
 
+        if (params.snapshotName && data.tree) {
+          this.storeSnapshot({
+            name: params.snapshotName,
+            tabId: data.tabId,
+            url: data.url,
+            selector: params.selector ?? null,
+            frameId: data.frameId || 0,
+            includeShadowDom: params.includeShadowDom ?? false,
+            tree: data.tree,
+            capturedAt: Date.now()
+          });
+          responseText += `**Stored As:** "${params.snapshotName}" (compare later with diff_dom_snapshots)\n`;
+        }
+
         let processedHtml = data.html;
         let extractionMethod = 'Raw HTML';
 
@@ -0,0 +1,477 @@
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { BrowserInterface } from '../types/browser-interface.js';
+
+const ERROR_REASONS = [
+  'Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed', 'ConnectionReset',
+  'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed', 'NameNotResolved',
+  'InternetDisconnected', 'AddressUnreachable', 'BlockedByClient', 'BlockedByResponse'
+] as const;
+
+const MockNetworkRouteSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to intercept requests in (current active tab if not specified)'),
+  urlPattern: z.string().min(1).describe('URL pattern to match (glob by default, e.g. "*://api.example.com/users/*")'),
+  patternType: z.enum(['glob', 'regex']).default('glob').optional().describe('How urlPattern is interpreted (default: glob)'),
+  method: z.string().optional().describe('Only match requests with this HTTP method'),
+  action: z.enum(['fulfill', 'abort', 'continue']).default('fulfill').optional().describe('What to do with matching requests (default: fulfill)'),
+  status: z.number().min(100).max(599).default(200).optional().describe('Response status code for fulfill (default: 200)'),
+  headers: z.record(z.string()).optional().describe('Response headers for fulfill, or request header overrides for continue'),
+  body: z.string().optional().describe('Response body for fulfill'),
+  errorReason: z.enum(ERROR_REASONS).default('Failed').optional().describe('Network error reported for abort (default: Failed)'),
+  overrideUrl: z.string().optional().describe('Replacement URL for continue'),
+  overrideMethod: z.string().optional().describe('Replacement HTTP method for continue'),
+  overridePostData: z.string().optional().describe('Replacement request body for continue'),
+  delay: z.number().min(0).max(60000).default(0).optional().describe('Milliseconds to hold matching requests before acting (default: 0)'),
+  times: z.number().min(1).optional().describe('Only apply the route to the first N matching requests')
+});
+
+const ClearNetworkRoutesSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to clear routes from (current active tab if not specified)'),
+  routeId: z.string().optional().describe('ID of a single route to remove (all routes if not specified)')
+});
+
+const SetNetworkConditionsSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to apply conditions to (current active tab if not specified)'),
+  preset: z.enum(['none', 'slow_3g', 'fast_3g', 'offline']).optional().describe('Throttling preset; "none" removes throttling'),
+  latency: z.number().min(0).max(60000).optional().describe('Custom added round-trip latency in milliseconds'),
+  downloadKbps: z.number().min(0).optional().describe('Custom download throughput in kilobits per second'),
+  uploadKbps: z.number().min(0).optional().describe('Custom upload throughput in kilobits per second'),
+  blockedUrls: z.array(z.string()).optional().describe('URL patterns to block (* wildcards); an empty list unblocks everything')
+});
+
+const SetRequestHeadersSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to apply headers to (current active tab if not specified)'),
+  headers: z.record(z.string()).optional().describe('Extra HTTP headers to send; replaces previously set headers'),
+  origins: z.array(z.string()).optional().describe('Only add headers to requests for these origins or hostnames'),
+  userAgent: z.string().optional().describe('User-Agent override'),
+  persist: z.boolean().default(true).optional().describe('Keep overrides across navigations (default: true)'),
+  clear: z.boolean().default(false).optional().describe('Remove all header and user-agent overrides')
+});
+
+export class BrowserInterceptionTool {
+  private bridge: BrowserInterface;
+
+  constructor(bridge: BrowserInterface) {
+    this.bridge = bridge;
+  }
+
+  getMockRouteSchema() {
+    return {
+      name: 'mock_network_route',
+      description: 'Intercept requests matching a URL pattern and fulfil them with a canned response, abort them with a network error, or modify them before continuing. Use this to test error states and slow or failed backends without touching real servers. Routes stay active until clear_network_routes is called.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to intercept requests in (uses current active tab if not specified)',
+            optional: true
+          },
+          urlPattern: {
+            type: 'string',
+            description: 'URL pattern to match. Globs use * for any characters and ? for one character (e.g. "*://api.example.com/users/*")'
+          },
+          patternType: {
+            type: 'string',
+            enum: ['glob', 'regex'],
+            description: 'How urlPattern is interpreted (default: glob)',
+            default: 'glob',
+            optional: true
+          },
+          method: {
+            type: 'string',
+            description: 'Only match requests with this HTTP method (GET, POST, etc.)',
+            optional: true
+          },
+          action: {
+            type: 'string',
+            enum: ['fulfill', 'abort', 'continue'],
+            description: 'fulfill: respond with status/headers/body. abort: fail with errorReason. continue: send to the server with overrides applied (default: fulfill)',
+            default: 'fulfill',
+            optional: true
+          },
+          status: {
+            type: 'number',
+            description: 'Response status code for fulfill (default: 200)',
+            minimum: 100,
+            maximum: 599,
+            default: 200,
+            optional: true
+          },
+          headers: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Response headers for fulfill, or request header overrides for continue',
+            optional: true
+          },
+          body: {
+            type: 'string',
+            description: 'Response body for fulfill. Content-Type defaults to application/json for JSON bodies, text/plain otherwise',
+            optional: true
+          },
+          errorReason: {
+            type: 'string',
+            enum: [...ERROR_REASONS],
+            description: 'Network error reported for abort (default: Failed)',
+            default: 'Failed',
+            optional: true
+          },
+          overrideUrl: {
+            type: 'string',
+            description: 'Replacement URL for continue',
+            optional: true
+          },
+          overrideMethod: {
+            type: 'string',
+            description: 'Replacement HTTP method for continue',
+            optional: true
+          },
+          overridePostData: {
+            type: 'string',
+            description: 'Replacement request body for continue',
+            optional: true
+          },
+          delay: {
+            type: 'number',
+            description: 'Milliseconds to hold matching requests before acting, to simulate slow backends (default: 0)',
+            minimum: 0,
+            maximum: 60000,
+            default: 0,
+            optional: true
+          },
+          times: {
+            type: 'number',
+            description: 'Only apply the route to the first N matching requests (applies to all if not specified)',
+            minimum: 1,
+            optional: true
+          }
+        },
+        required: ['urlPattern']
+      }
+    };
+  }
+
+  getClearRoutesSchema() {
+    return {
+      name: 'clear_network_routes',
+      description: 'Remove network routes registered with mock_network_route so requests reach the real servers again',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to clear routes from (uses current active tab if not specified)',
+            optional: true
+          },
+          routeId: {
+            type: 'string',
+            description: 'ID of a single route to remove (removes all routes if not specified)',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getNetworkConditionsSchema() {
+    return {
+      name: 'set_network_conditions',
+      description: 'Emulate network conditions for a tab: throttling presets (Slow 3G, Fast 3G, offline), custom latency and throughput, and blocked URL patterns. Use this to reproduce loading-state and offline bugs deterministically. Conditions stay active until changed; use preset "none" and an empty blockedUrls list to reset.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to apply conditions to (uses current active tab if not specified)',
+            optional: true
+          },
+          preset: {
+            type: 'string',
+            enum: ['none', 'slow_3g', 'fast_3g', 'offline'],
+            description: 'Throttling preset. "none" removes throttling. Custom values below are applied on top of the preset',
+            optional: true
+          },
+          latency: {
+            type: 'number',
+            description: 'Custom added round-trip latency in milliseconds',
+            minimum: 0,
+            maximum: 60000,
+            optional: true
+          },
+          downloadKbps: {
+            type: 'number',
+            description: 'Custom download throughput in kilobits per second',
+            minimum: 0,
+            optional: true
+          },
+          uploadKbps: {
+            type: 'number',
+            description: 'Custom upload throughput in kilobits per second',
+            minimum: 0,
+            optional: true
+          },
+          blockedUrls: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'URL patterns to block, with * wildcards (e.g. "*.doubleclick.net*", "*/api/slow-endpoint*"). An empty list unblocks everything; omit to leave blocking unchanged',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getRequestHeadersSchema() {
+    return {
+      name: 'set_request_headers',
+      description: 'Add extra HTTP headers (auth bearer tokens, feature flags, tracing IDs) and/or a User-Agent override to requests made by a tab. Headers can be scoped to specific origins. Use clear to remove all overrides.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to apply headers to (uses current active tab if not specified)',
+            optional: true
+          },
+          headers: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Extra HTTP headers to send, e.g. {"Authorization": "Bearer ...", "X-Feature-Flag": "new-checkout"}. Replaces previously set headers',
+            optional: true
+          },
+          origins: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only add headers to requests for these origins ("https://api.staging.example.com") or hostnames ("*.example.com"). Applies to all requests if not specified',
+            optional: true
+          },
+          userAgent: {
+            type: 'string',
+            description: 'User-Agent string override',
+            optional: true
+          },
+          persist: {
+            type: 'boolean',
+            description: 'Keep overrides across navigations (default: true). When false, overrides apply to the current page only and are removed as soon as the next page commits; the request for that next page itself may still carry them',
+            default: true,
+            optional: true
+          },
+          clear: {
+            type: 'boolean',
+            description: 'Remove all header and user-agent overrides for the tab (default: false)',
+            default: false,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeSetRequestHeaders(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = SetRequestHeadersSchema.parse(args || {});
+
+      if (!params.clear && params.headers === undefined && params.userAgent === undefined) {
+        return {
+          content: [{ type: 'text', text: 'Error: Must specify headers, userAgent or clear' }],
+          isError: true,
+        };
+      }
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('set_request_headers', params);
+
+      if (result.success) {
+        const data = result.data;
+        if (data.cleared) {
+          return {
+            content: [{ type: 'text', text: `**Request Header Overrides Cleared** (Tab ${data.tabId})` }],
+          };
+        }
+
+        const headerNames = Object.keys(data.headers);
+        let responseText = `**Request Headers Updated** (Tab ${data.tabId})\n\n`;
+        responseText += `**Headers:** ${headerNames.length > 0 ? headerNames.join(', ') : 'none'}\n`;
+        responseText += `**Scope:** ${data.origins.length > 0 ? data.origins.join(', ') : 'all requests'}\n`;
+        responseText += `**User-Agent:** ${data.userAgent || 'browser default'}\n`;
+        responseText += `**Persist Across Navigations:** ${data.persist ? 'Yes' : 'No'}\n`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to set request headers: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private formatThroughput(bytesPerSecond: number): string {
+    if (bytesPerSecond < 0) {
+      return 'unlimited';
+    }
+    return `${Math.round(bytesPerSecond * 8 / 1000)} kbps`;
+  }
+
+  private formatRoute(route: any): string {
+    let text = `• **${route.id}** ${route.method || 'ANY'} ${route.urlPattern} (${route.patternType}) → `;
+    switch (route.action) {
+      case 'fulfill':
+        text += `fulfill ${route.status}`;
+        break;
+      case 'abort':
+        text += `abort (${route.errorReason})`;
+        break;
+      default:
+        text += 'continue with overrides';
+    }
+    if (route.delay > 0) {
+      text += `, delay ${route.delay}ms`;
+    }
+    text += `, hits: ${route.hits}${route.times ? `/${route.times}` : ''}\n`;
+    if (route.failures > 0) {
+      text += `  ⚠️ Failed ${route.failures} time${route.failures === 1 ? '' : 's'}, request sent on unchanged. Last error: ${route.lastError}\n`;
+    }
+    return text;
+  }
+
+  async executeMockRoute(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = MockNetworkRouteSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('add_network_route', params);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `**Network Route Added** (Tab ${data.tabId})\n\n`;
+        responseText += `**Route ID:** ${data.route.id}\n`;
+        responseText += `\n**Active Routes:**\n`;
+        data.routes.forEach((route: any) => {
+          responseText += this.formatRoute(route);
+        });
+        responseText += `\n💡 Use clear_network_routes to remove routes when done.`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to add network route: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeSetNetworkConditions(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = SetNetworkConditionsSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('set_network_conditions', params);
+
+      if (result.success) {
+        const data = result.data;
+        const conditions = data.conditions;
+        let responseText = `**Network Conditions Updated** (Tab ${data.tabId})\n\n`;
+        responseText += `**Profile:** ${data.preset}\n`;
+        if (conditions.offline) {
+          responseText += `**Offline:** Yes\n`;
+        } else {
+          responseText += `**Latency:** ${conditions.latency}ms\n`;
+          responseText += `**Download:** ${this.formatThroughput(conditions.downloadThroughput)}\n`;
+          responseText += `**Upload:** ${this.formatThroughput(conditions.uploadThroughput)}\n`;
+        }
+        responseText += `**Blocked URLs:** ${data.blockedUrls.length > 0 ? data.blockedUrls.join(', ') : 'none'}\n`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to set network conditions: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeClearRoutes(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = ClearNetworkRoutesSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('clear_network_routes', params);
+
+      if (result.success) {
+        const data = result.data;
+        let responseText = `**Network Routes Cleared** (Tab ${data.tabId})\n\n`;
+        responseText += `**Removed:** ${data.cleared}\n`;
+        responseText += `**Remaining:** ${data.routes.length}\n`;
+        data.routes.forEach((route: any) => {
+          responseText += this.formatRoute(route);
+        });
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to clear network routes: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+}
@@ -13,6 +13,21 @@ const GetCurrentUrlSchema = z.object({
   tabId: z.number().optional().describe('Tab ID to get URL from (current active tab if not specified)')
 });
 
+const HistoryNavigationSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to navigate (current active tab if not specified)'),
+  timeout: z.number().min(1000).max(60000).default(15000).optional().describe('Navigation timeout in milliseconds (default: 15000)')
+});
+
+const ReloadPageSchema = HistoryNavigationSchema.extend({
+  bypassCache: z.boolean().default(false).optional().describe('Reload without using the browser cache (default: false)')
+});
+
+const HISTORY_ACTIONS = {
+  go_back: { label: 'Back Navigation', verb: 'go back' },
+  go_forward: { label: 'Forward Navigation', verb: 'go forward' },
+  reload_page: { label: 'Reload', verb: 'reload page' }
+} as const;
+
 export class BrowserNavigationTool {
   private bridge: BrowserInterface;
 
@@ -51,6 +66,65 @@ export class BrowserNavigationTool {
     };
   }
 
+  getGoBackSchema() {
+    return {
+      name: 'go_back',
+      description: 'Navigate a browser tab back one entry in its history and wait for the page to settle',
+      inputSchema: {
+        type: 'object',
+        properties: this.getHistoryNavigationProperties()
+      }
+    };
+  }
+
+  getGoForwardSchema() {
+    return {
+      name: 'go_forward',
+      description: 'Navigate a browser tab forward one entry in its history and wait for the page to settle',
+      inputSchema: {
+        type: 'object',
+        properties: this.getHistoryNavigationProperties()
+      }
+    };
+  }
+
+  getReloadSchema() {
+    return {
+      name: 'reload_page',
+      description: 'Reload a browser tab, optionally bypassing the cache, and wait for the page to settle',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...this.getHistoryNavigationProperties(),
+          bypassCache: {
+            type: 'boolean',
+            description: 'Reload without using the browser cache, like a hard refresh (default: false)',
+            default: false,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  private getHistoryNavigationProperties() {
+    return {
+      tabId: {
+        type: 'number',
+        description: 'Tab ID to navigate (uses current active tab if not specified)',
+        optional: true
+      },
+      timeout: {
+        type: 'number',
+        description: 'Navigation timeout in milliseconds (default: 15000, max: 60000)',
+        minimum: 1000,
+        maximum: 60000,
+        default: 15000,
+        optional: true
+      }
+    };
+  }
+
   getCurrentUrlSchema() {
     return {
       name: 'get_current_url',
@@ -86,12 +160,14 @@ export class BrowserNavigationTool {
         };
       }
 
-      // Send navigation command to extension with 5-second timeout (longer than 2-second navigation timeout)
-      const result = await this.bridge.sendCommand('navigate_to_url', params, 5000);
+      // The extension resolves once the page is stable, so allow for its own timeout
+      const result = await this.bridge.sendCommand('navigate_to_url', params, (params.timeout ?? 15000) + 5000);
 
       if (result.success) {
         const navData = result.data;
-        let responseText = `✅ **Navigation Complete**\n\n`;
+        let responseText = navData.timedOut
+          ? `⚠️ **Navigation Timed Out** - page had not settled, reporting current state\n\n`
+          : `✅ **Navigation Complete**\n\n`;
         
         // Basic navigation info
         responseText += `**Requested URL:** ${navData.requestedUrl}\n`;
@@ -160,6 +236,116 @@ export class BrowserNavigationTool {
     }
   }
 
+  async executeGoBack(args: unknown): Promise<CallToolResult> {
+    return this.executeHistoryNavigation('go_back', args);
+  }
+
+  async executeGoForward(args: unknown): Promise<CallToolResult> {
+    return this.executeHistoryNavigation('go_forward', args);
+  }
+
+  async executeReload(args: unknown): Promise<CallToolResult> {
+    return this.executeHistoryNavigation('reload_page', args);
+  }
+
+  private async executeHistoryNavigation(command: keyof typeof HISTORY_ACTIONS, args: unknown): Promise<CallToolResult> {
+    const { label, verb } = HISTORY_ACTIONS[command];
+
+    try {
+      const params = command === 'reload_page'
+        ? ReloadPageSchema.parse(args || {})
+        : HistoryNavigationSchema.parse(args || {});
+
+      // Check if extension is connected
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.',
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      // The extension resolves once the page is stable, so allow for its own timeout
+      const result = await this.bridge.sendCommand(command, params, (params.timeout ?? 15000) + 5000);
+
+      if (result.success) {
+        const navData = result.data;
+        let responseText = navData.timedOut
+          ? `⚠️ **${label} Timed Out** - page had not settled, reporting current state\n\n`
+          : `✅ **${label} Complete**\n\n`;
+
+        if (navData.startUrl !== undefined) {
+          responseText += `**Started At:** ${navData.startUrl}\n`;
+        }
+        responseText += `**Final URL:** ${navData.finalUrl}\n`;
+        responseText += `**Page Title:** ${navData.finalTitle}\n`;
+        responseText += `**Tab ID:** ${navData.tabId}\n`;
+        responseText += `**Navigation Time:** ${navData.navigationTimeMs}ms\n\n`;
+
+        // Redirect information
+        if (navData.redirectCount > 0) {
+          responseText += `🔄 **Redirects:** ${navData.redirectCount} redirect${navData.redirectCount > 1 ? 's' : ''} occurred\n\n`;
+          responseText += `**Navigation Flow:**\n`;
+
+          navData.redirectChain.forEach((url: string, index: number) => {
+            const isLast = index === navData.redirectChain.length - 1;
+            const arrow = isLast ? '' : ' →';
+            responseText += `${index + 1}. ${url}${arrow}\n`;
+          });
+        } else {
+          responseText += `✨ **Direct Navigation:** No redirects occurred`;
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: responseText,
+            },
+          ],
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Failed to ${verb}: ${result.error || 'Unknown error'}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Invalid parameters: ${error.errors.map(e => e.message).join(', ')}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Failed to ${verb}: ${error instanceof Error ? error.message : String(error)}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
   async executeGetCurrentUrl(args: unknown): Promise<CallToolResult> {
     try {
       const params = GetCurrentUrlSchema.parse(args || {});
@@ -2,13 +2,82 @@ import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import { ExtensionBridge } from '../utils/extension-bridge.js';
 import { BrowserInterface } from '../types/browser-interface.js';
+import { buildHar, NetworkLog } from '../utils/har.js';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+const RESOURCE_TYPES = [
+  'Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'TextTrack', 'XHR', 'Fetch',
+  'Prefetch', 'EventSource', 'WebSocket', 'Manifest', 'SignedExchange', 'Ping',
+  'CSPViolationReport', 'Preflight', 'Other'
+] as const;
 
 const GetNetworkRequestsSchema = z.object({
   tabId: z.number().optional().describe('Tab ID to get network requests from (current active tab if not specified)'),
   limit: z.number().min(1).max(1000).default(50).optional().describe('Maximum number of requests to return (default: 50)'),
   method: z.string().optional().describe('Filter by HTTP method (GET, POST, etc.)'),
   status: z.number().optional().describe('Filter by HTTP status code'),
-  since: z.number().optional().describe('Only return requests after this timestamp (Unix timestamp in milliseconds)')
+  since: z.number().optional().describe('Only return requests after this timestamp (Unix timestamp in milliseconds)'),
+  resourceType: z.enum(RESOURCE_TYPES).optional().describe('Filter by resource type (Document, Script, Stylesheet, Image, Font, XHR, Fetch, etc.)'),
+  urlContains: z.string().optional().describe('Only return requests whose URL contains this substring'),
+  urlRegex: z.string().optional().describe('Only return requests whose URL matches this regular expression')
+});
+
+const SetNetworkCaptureSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to configure (current active tab if not specified)'),
+  resourceTypes: z.array(z.enum(RESOURCE_TYPES)).optional().describe('Resource types to capture (all types if empty or not specified)')
+});
+
+const GetNetworkRequestDetailsSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID the request was captured in (current active tab if not specified)'),
+  requestId: z.string().describe('Request ID as reported by get_network_requests'),
+  includeBody: z.boolean().default(true).optional().describe('Include request payload and response body (default: true)'),
+  maxBodySize: z.number().min(1000).max(1000000).default(20000).optional().describe('Maximum characters of each body to return (default: 20000)')
+});
+
+const GetWebSocketMessagesSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to get WebSocket traffic from (current active tab if not specified)'),
+  urlContains: z.string().optional().describe('Only include connections whose URL contains this substring'),
+  direction: z.enum(['sent', 'received']).optional().describe('Only include frames in this direction'),
+  limit: z.number().min(1).max(200).default(50).optional().describe('Maximum number of most recent frames per connection (default: 50)'),
+  previewLength: z.number().min(20).max(4000).default(200).optional().describe('Characters of each payload to show (default: 200)')
+});
+
+const WaitForNetworkSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to watch (current active tab if not specified)'),
+  mode: z.enum(['idle', 'request']).default('idle').optional().describe('Wait for network idle or for a matching request to complete (default: idle)'),
+  idleTime: z.number().min(0).max(10000).default(500).optional().describe('Milliseconds with no in-flight requests required for idle (default: 500)'),
+  urlPattern: z.string().optional().describe('URL pattern the awaited request must match (request mode)'),
+  patternType: z.enum(['substring', 'glob', 'regex']).default('substring').optional().describe('How urlPattern is interpreted (default: substring)'),
+  method: z.string().optional().describe('HTTP method the awaited request must use (request mode)'),
+  status: z.number().optional().describe('HTTP status the awaited request must complete with (request mode)'),
+  since: z.number().optional().describe('Also accept requests completed after this timestamp, before the wait started (request mode)'),
+  timeout: z.number().min(100).max(120000).default(10000).optional().describe('Maximum milliseconds to wait (default: 10000)')
+});
+
+const GetEventStreamMessagesSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to get EventSource messages from (current active tab if not specified)'),
+  urlContains: z.string().optional().describe('Only include streams whose URL contains this substring'),
+  eventName: z.string().optional().describe('Only include messages with this event name'),
+  since: z.number().optional().describe('Only include messages received after this timestamp (Unix timestamp in milliseconds)'),
+  limit: z.number().min(1).max(500).default(50).optional().describe('Maximum number of most recent messages per stream (default: 50)'),
+  previewLength: z.number().min(20).max(4000).default(500).optional().describe('Characters of each message data to show (default: 500)')
+});
+
+const WEBSOCKET_OPCODES: Record<number, string> = {
+  0: 'continuation',
+  1: 'text',
+  2: 'binary',
+  8: 'close',
+  9: 'ping',
+  10: 'pong'
+};
+
+const ExportHarSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to export network traffic from (current active tab if not specified)'),
+  includeBodies: z.boolean().default(false).optional().describe('Include response bodies in the HAR (default: false)'),
+  maxBodySize: z.number().min(1000).max(10000000).default(1000000).optional().describe('Omit response bodies larger than this many characters (default: 1000000)'),
+  filename: z.string().optional().describe('Custom filename (auto-generated if not provided)')
 });
 
 export class BrowserNetworkTool {
@@ -21,7 +90,7 @@ export class BrowserNetworkTool {
   getSchema() {
     return {
       name: 'get_network_requests',
-      description: 'Get network requests (XHR/fetch) captured since page load',
+      description: 'Get network requests captured since page load. All resource types are captured by default (see set_network_capture); filter by method, status, resource type or URL.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -52,12 +121,659 @@ export class BrowserNetworkTool {
             type: 'number',
             description: 'Only return requests after this timestamp (Unix timestamp in milliseconds)',
             optional: true
+          },
+          resourceType: {
+            type: 'string',
+            enum: [...RESOURCE_TYPES],
+            description: 'Filter by resource type (Document, Script, Stylesheet, Image, Font, XHR, Fetch, etc.)',
+            optional: true
+          },
+          urlContains: {
+            type: 'string',
+            description: 'Only return requests whose URL contains this substring',
+            optional: true
+          },
+          urlRegex: {
+            type: 'string',
+            description: 'Only return requests whose URL matches this regular expression',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getCaptureSchema() {
+    return {
+      name: 'set_network_capture',
+      description: 'Choose which resource types are captured for a tab (Document, Script, Stylesheet, Image, Font, XHR, Fetch, etc.). All types are captured by default; restrict capture on heavy pages to keep the request buffer focused.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to configure (uses current active tab if not specified)',
+            optional: true
+          },
+          resourceTypes: {
+            type: 'array',
+            items: { type: 'string', enum: [...RESOURCE_TYPES] },
+            description: 'Resource types to capture. Pass an empty list or omit to capture all types',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeSetCapture(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = SetNetworkCaptureSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('set_network_capture', params);
+
+      if (result.success) {
+        const data = result.data;
+        const types = Array.isArray(data.resourceTypes) ? data.resourceTypes.join(', ') : 'All resource types';
+        return {
+          content: [{ type: 'text', text: `**Network Capture Updated** (Tab ${data.tabId})\n\n**Capturing:** ${types}\n\nApplies to requests made from now on.` }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to update network capture: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  getRequestDetailsSchema() {
+    return {
+      name: 'get_network_request_details',
+      description: 'Get the full request and response for a single captured network request, including headers, request payload and decoded response body. JSON bodies are pretty-printed, binary bodies are summarised. Use get_network_requests first to find the request ID.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID the request was captured in (uses current active tab if not specified)',
+            optional: true
+          },
+          requestId: {
+            type: 'string',
+            description: 'Request ID as reported by get_network_requests'
+          },
+          includeBody: {
+            type: 'boolean',
+            description: 'Include request payload and response body (default: true)',
+            default: true,
+            optional: true
+          },
+          maxBodySize: {
+            type: 'number',
+            description: 'Maximum characters of each body to return; longer bodies are truncated with a marker (default: 20000, max: 1000000)',
+            minimum: 1000,
+            maximum: 1000000,
+            default: 20000,
+            optional: true
+          }
+        },
+        required: ['requestId']
+      }
+    };
+  }
+
+  getWaitForNetworkSchema() {
+    return {
+      name: 'wait_for_network',
+      description: 'Wait until a tab\'s network is idle (no in-flight requests for idleTime ms; EventSource streams, WebSockets and responses still streaming 5 seconds after their headers do not count), or until a request matching a URL pattern/method/status completes. On timeout, reports the requests still pending. Prefer this over fixed waits after click_element or type_text on SPA pages.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to watch (uses current active tab if not specified)',
+            optional: true
+          },
+          mode: {
+            type: 'string',
+            enum: ['idle', 'request'],
+            description: 'idle: wait for no in-flight requests. request: wait for a matching request to complete (default: idle)',
+            default: 'idle',
+            optional: true
+          },
+          idleTime: {
+            type: 'number',
+            description: 'Milliseconds with no in-flight requests required for idle (default: 500)',
+            minimum: 0,
+            maximum: 10000,
+            default: 500,
+            optional: true
+          },
+          urlPattern: {
+            type: 'string',
+            description: 'URL pattern the awaited request must match (request mode), e.g. "/api/orders"',
+            optional: true
+          },
+          patternType: {
+            type: 'string',
+            enum: ['substring', 'glob', 'regex'],
+            description: 'How urlPattern is interpreted (default: substring)',
+            default: 'substring',
+            optional: true
+          },
+          method: {
+            type: 'string',
+            description: 'HTTP method the awaited request must use (request mode)',
+            optional: true
+          },
+          status: {
+            type: 'number',
+            description: 'HTTP status the awaited request must complete with (request mode)',
+            optional: true
+          },
+          since: {
+            type: 'number',
+            description: 'Also accept requests that completed after this timestamp, before the wait started (request mode, Unix timestamp in milliseconds)',
+            optional: true
+          },
+          timeout: {
+            type: 'number',
+            description: 'Maximum milliseconds to wait (default: 10000, max: 120000)',
+            minimum: 100,
+            maximum: 120000,
+            default: 10000,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeWaitForNetwork(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = WaitForNetworkSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const timeout = params.timeout ?? 10000;
+      const result = await this.bridge.sendCommand('wait_for_network', params, timeout + 5000);
+
+      if (result.success) {
+        const data = result.data;
+        const target = data.mode === 'request' ? 'matching request' : 'network idle';
+
+        if (data.satisfied) {
+          let responseText = `✅ **Network Wait Complete** (Tab ${data.tabId})\n\n`;
+          responseText += `**Condition:** ${target}\n`;
+          responseText += `**Waited:** ${data.elapsedMs}ms\n`;
+          if (data.matchedRequest) {
+            const req = data.matchedRequest;
+            responseText += `\n**Matched Request:** ${req.method} ${req.status || 'failed'} ${req.url}\n`;
+            responseText += `• **Request ID:** ${req.id}\n`;
+            if (req.timing?.duration) {
+              responseText += `• **Duration:** ${Math.round(req.timing.duration)}ms\n`;
+            }
+          }
+          return {
+            content: [{ type: 'text', text: responseText }],
+          };
+        }
+
+        let responseText = `⏱️ **Network Wait Timed Out** (Tab ${data.tabId})\n\n`;
+        responseText += `**Condition:** ${target}\n`;
+        responseText += `**Waited:** ${data.elapsedMs}ms\n`;
+        responseText += `**Still Pending:** ${data.pending.length} request${data.pending.length !== 1 ? 's' : ''}\n`;
+        data.pending.forEach((req: any) => {
+          responseText += `• ${req.method} ${req.url} (${req.type}, pending ${Math.round(req.pendingMs)}ms)\n`;
+        });
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+          isError: true,
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to wait for network: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  getWebSocketMessagesSchema() {
+    return {
+      name: 'get_websocket_messages',
+      description: 'List WebSocket connections opened by a tab with their recent frames (direction, opcode, payload preview, timestamp)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to get WebSocket traffic from (uses current active tab if not specified)',
+            optional: true
+          },
+          urlContains: {
+            type: 'string',
+            description: 'Only include connections whose URL contains this substring',
+            optional: true
+          },
+          direction: {
+            type: 'string',
+            enum: ['sent', 'received'],
+            description: 'Only include frames in this direction',
+            optional: true
+          },
+          limit: {
+            type: 'number',
+            description: 'Maximum number of most recent frames per connection (default: 50, max: 200)',
+            minimum: 1,
+            maximum: 200,
+            default: 50,
+            optional: true
+          },
+          previewLength: {
+            type: 'number',
+            description: 'Characters of each payload to show (default: 200, max: 4000)',
+            minimum: 20,
+            maximum: 4000,
+            default: 200,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeGetWebSocketMessages(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = GetWebSocketMessagesSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('get_websocket_messages', {
+        tabId: params.tabId,
+        urlContains: params.urlContains,
+        direction: params.direction,
+        limit: params.limit
+      });
+
+      if (result.success) {
+        const data = result.data;
+        const previewLength = params.previewLength ?? 200;
+        let responseText = `**WebSocket Connections** (Tab ${data.tabId})\n\n`;
+        responseText += `**Connections:** ${data.connections.length}\n`;
+
+        if (data.connections.length === 0) {
+          responseText += `\n*No WebSocket connections captured*`;
+        }
+
+        data.connections.forEach((connection: any, index: number) => {
+          responseText += `\n**${index + 1}. ${connection.url}**\n`;
+          responseText += `• **Status:** ${connection.status}${connection.handshakeStatus ? ` (handshake ${connection.handshakeStatus})` : ''}\n`;
+          responseText += `• **Opened:** ${new Date(connection.createdAt).toLocaleTimeString()}\n`;
+          if (connection.closedAt) {
+            responseText += `• **Closed:** ${new Date(connection.closedAt).toLocaleTimeString()}\n`;
+          }
+          if (connection.lastError) {
+            responseText += `• **Last Error:** ${connection.lastError}\n`;
+          }
+          responseText += `• **Frames:** showing ${connection.frames.length} of ${connection.totalFrames}\n`;
+
+          connection.frames.forEach((frame: any) => {
+            const arrow = frame.direction === 'sent' ? '→' : '←';
+            const opcode = WEBSOCKET_OPCODES[frame.opcode] || `opcode ${frame.opcode}`;
+            let preview = frame.opcode === 2
+              ? `[binary, ${frame.payloadLength} base64 chars]`
+              : frame.payload.substring(0, previewLength);
+            if (frame.opcode !== 2 && frame.payloadLength > preview.length) {
+              preview += `... (${frame.payloadLength} chars)`;
+            }
+            responseText += `  ${arrow} [${new Date(frame.timestamp).toLocaleTimeString()}] ${opcode}: ${preview}\n`;
+          });
+        });
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to get WebSocket messages: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  getEventStreamMessagesSchema() {
+    return {
+      name: 'get_event_stream_messages',
+      description: 'Get Server-Sent Events received through EventSource connections, grouped by stream URL, with event name, ID and data',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to get EventSource messages from (uses current active tab if not specified)',
+            optional: true
+          },
+          urlContains: {
+            type: 'string',
+            description: 'Only include streams whose URL contains this substring',
+            optional: true
+          },
+          eventName: {
+            type: 'string',
+            description: 'Only include messages with this event name ("message" for unnamed events)',
+            optional: true
+          },
+          since: {
+            type: 'number',
+            description: 'Only include messages received after this timestamp (Unix timestamp in milliseconds)',
+            optional: true
+          },
+          limit: {
+            type: 'number',
+            description: 'Maximum number of most recent messages per stream (default: 50, max: 500)',
+            minimum: 1,
+            maximum: 500,
+            default: 50,
+            optional: true
+          },
+          previewLength: {
+            type: 'number',
+            description: 'Characters of each message data to show (default: 500, max: 4000)',
+            minimum: 20,
+            maximum: 4000,
+            default: 500,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeGetEventStreamMessages(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = GetEventStreamMessagesSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('get_event_stream_messages', {
+        tabId: params.tabId,
+        urlContains: params.urlContains,
+        eventName: params.eventName,
+        since: params.since,
+        limit: params.limit
+      });
+
+      if (result.success) {
+        const data = result.data;
+        const previewLength = params.previewLength ?? 500;
+        let responseText = `**Event Streams** (Tab ${data.tabId})\n\n`;
+        responseText += `**Streams:** ${data.streams.length}\n`;
+
+        if (data.streams.length === 0) {
+          responseText += `\n*No EventSource messages captured*`;
+        }
+
+        data.streams.forEach((stream: any, index: number) => {
+          responseText += `\n**${index + 1}. ${stream.url}**\n`;
+          responseText += `• **Messages:** showing ${stream.messages.length} of ${stream.totalMessages}\n`;
+
+          stream.messages.forEach((message: any) => {
+            let preview = message.data.substring(0, previewLength);
+            if (message.dataLength > preview.length) {
+              preview += `... (${message.dataLength} chars${message.truncated ? `, only the first ${message.data.length} kept` : ''})`;
+            }
+            const eventId = message.eventId ? ` #${message.eventId}` : '';
+            responseText += `  [${new Date(message.timestamp).toLocaleTimeString()}] ${message.eventName}${eventId}: ${preview}\n`;
+          });
+        });
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to get event stream messages: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  getExportHarSchema() {
+    return {
+      name: 'export_har',
+      description: 'Export the network traffic captured for a tab as a HAR 1.2 file (timings, headers, cookies and optional response bodies) for bug reports or external analyzers',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to export network traffic from (uses current active tab if not specified)',
+            optional: true
+          },
+          includeBodies: {
+            type: 'boolean',
+            description: 'Include response bodies in the HAR (default: false)',
+            default: false,
+            optional: true
+          },
+          maxBodySize: {
+            type: 'number',
+            description: 'Omit response bodies larger than this many characters (default: 1000000)',
+            minimum: 1000,
+            maximum: 10000000,
+            default: 1000000,
+            optional: true
+          },
+          filename: {
+            type: 'string',
+            description: 'Custom filename without extension (auto-generated if not provided)',
+            optional: true
           }
         }
       }
     };
   }
 
+  private generateHarFilename(url: string): string {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    let urlPart = '';
+
+    try {
+      urlPart = new URL(url).hostname.replace(/[^a-z0-9]/gi, '-');
+    } catch {
+      urlPart = 'network';
+    }
+
+    return `har-${urlPart}-${timestamp}.har`;
+  }
+
+  private formatHeaders(headers: Record<string, string> | undefined): string {
+    if (!headers || Object.keys(headers).length === 0) {
+      return '*None*\n';
+    }
+    return Object.entries(headers).map(([name, value]) => `• ${name}: ${value}`).join('\n') + '\n';
+  }
+
+  private formatBody(body: any): string {
+    const size = body.size !== undefined ? `${body.size} bytes` : 'unknown size';
+    let text = `*${body.encoding}, ${body.mimeType || 'unknown type'}, ${size}${body.truncated ? ', truncated' : ''}*\n`;
+    if (body.encoding === 'binary') {
+      return text + `${body.content}\n`;
+    }
+    text += '```' + (body.encoding === 'json' ? 'json' : '') + '\n';
+    text += `${body.content}\n`;
+    text += '```\n';
+    return text;
+  }
+
+  async executeGetRequestDetails(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = GetNetworkRequestDetailsSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('get_network_request_details', params);
+
+      if (result.success) {
+        const req = result.data;
+        const duration = req.timing?.duration ? `${Math.round(req.timing.duration)}ms` : 'N/A';
+
+        let responseText = `**Network Request Details** (Tab ${req.tabId})\n\n`;
+        responseText += `**Request ID:** ${req.id}\n`;
+        responseText += `**${req.method}** ${req.url}\n`;
+        responseText += `**Status:** ${req.status || 'pending'} ${req.statusText || ''}\n`;
+        responseText += `**Type:** ${req.type || 'unknown'}\n`;
+        responseText += `**Duration:** ${duration}\n`;
+        responseText += `**Time:** ${new Date(req.timestamp).toLocaleTimeString()}\n`;
+
+        responseText += `\n**Request Headers:**\n${this.formatHeaders(req.requestHeaders)}`;
+        if (req.requestBody) {
+          responseText += `\n**Request Body:**\n${this.formatBody(req.requestBody)}`;
+        } else if (req.requestBodyError) {
+          responseText += `\n**Request Body:** unavailable (${req.requestBodyError})\n`;
+        }
+
+        responseText += `\n**Response Headers:**\n${this.formatHeaders(req.responseHeaders)}`;
+        if (req.responseBody) {
+          responseText += `\n**Response Body:**\n${this.formatBody(req.responseBody)}`;
+        } else if (req.responseBodyError) {
+          responseText += `\n**Response Body:** unavailable (${req.responseBodyError})\n`;
+        }
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to get network request details: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  async executeExportHar(args: unknown): Promise<CallToolResult> {
+    try {
+      const params = ExportHarSchema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      const result = await this.bridge.sendCommand('export_network_log', {
+        tabId: params.tabId,
+        includeBodies: params.includeBodies,
+        maxBodySize: params.maxBodySize
+      }, 60000);
+
+      if (result.success) {
+        const networkLog: NetworkLog = result.data;
+        const har = buildHar(networkLog);
+
+        const filename = params.filename ? `${params.filename}.har` : this.generateHarFilename(networkLog.url);
+        const harDir = join(process.cwd(), 'har');
+        const filepath = join(harDir, filename);
+
+        // Ensure har directory exists
+        await fs.mkdir(harDir, { recursive: true });
+        const harJson = JSON.stringify(har, null, 2);
+        await fs.writeFile(filepath, harJson);
+
+        const withBodies = har.log.entries.filter(entry => entry.response.content.text !== undefined).length;
+
+        let responseText = `**HAR Exported** (Tab ${networkLog.tabId})\n\n`;
+        responseText += `**URL:** ${networkLog.url}\n`;
+        responseText += `**Title:** ${networkLog.title}\n`;
+        responseText += `**Entries:** ${har.log.entries.length}\n`;
+        if (params.includeBodies) {
+          responseText += `**Response Bodies:** ${withBodies} of ${har.log.entries.length} included\n`;
+        }
+        responseText += `**Saved to:** ${filepath}\n`;
+        responseText += `**File Size:** ${Math.round(Buffer.byteLength(harJson) / 1024)}KB\n`;
+
+        return {
+          content: [{ type: 'text', text: responseText }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to export HAR: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
   async execute(args: unknown): Promise<CallToolResult> {
     try {
       const params = GetNetworkRequestsSchema.parse(args || {});
@@ -92,8 +808,10 @@ export class BrowserNetworkTool {
             const size = req.responseSize ? `${Math.round(req.responseSize / 1024)}KB` : 'N/A';
             
             responseText += `\n**${index + 1}. ${req.method} ${req.status || 'pending'}**\n`;
+            responseText += `• **Request ID:** ${req.id}\n`;
             responseText += `• **URL:** ${req.url}\n`;
             responseText += `• **Status:** ${req.status || 'pending'} ${req.statusText || ''}\n`;
+            responseText += `• **Type:** ${req.type || 'unknown'}\n`;
             responseText += `• **Duration:** ${duration}\n`;
             responseText += `• **Size:** ${size}\n`;
             responseText += `• **Time:** ${new Date(req.timestamp).toLocaleTimeString()}\n`;
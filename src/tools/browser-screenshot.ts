@@ -12,7 +12,9 @@ const TakeScreenshotSchema = z.object({
   format: z.enum(['png', 'jpeg']).default('png').optional().describe('Image format (default: png)'),
   selector: z.string().optional().describe('CSS selector to screenshot specific element'),
   saveToFile: z.boolean().default(true).optional().describe('Save screenshot to file (default: true)'),
-  filename: z.string().optional().describe('Custom filename (auto-generated if not provided)')
+  filename: z.string().optional().describe('Custom filename (auto-generated if not provided)'),
+  frameId: z.number().optional().describe('Frame ID from list_frames to run in (main frame if not specified)'),
+  frameUrl: z.string().optional().describe('Run in the first frame whose URL contains this substring')
 });
 
 export class BrowserScreenshotTool {
@@ -57,7 +59,7 @@ export class BrowserScreenshotTool {
           },
           selector: {
             type: 'string',
-            description: 'CSS selector to screenshot specific element (screenshots full page if not specified)',
+            description: 'CSS selector to screenshot specific element (screenshots full page if not specified). Use >>> to reach inside shadow roots',
             optional: true
           },
           saveToFile: {
@@ -70,6 +72,16 @@ export class BrowserScreenshotTool {
             type: 'string',
             description: 'Custom filename without extension (auto-generated if not provided)',
             optional: true
+          },
+          frameId: {
+            type: 'number',
+            description: 'Frame ID from list_frames to capture; without a selector the whole frame is captured',
+            optional: true
+          },
+          frameUrl: {
+            type: 'string',
+            description: 'Target the first iframe whose URL contains this substring (alternative to frameId)',
+            optional: true
           }
         }
       }
@@ -121,7 +133,9 @@ export class BrowserScreenshotTool {
         fullPage: params.fullPage,
         quality: params.quality,
         format: params.format,
-        selector: params.selector
+        selector: params.selector,
+        frameId: params.frameId,
+        frameUrl: params.frameUrl
       };
 
       const result = await this.bridge.sendCommand('take_screenshot', screenshotParams);
@@ -140,6 +154,10 @@ export class BrowserScreenshotTool {
           responseText += `**Element Selector:** ${params.selector}\n`;
         }
         
+        if (data.frameId) {
+          responseText += `**Frame:** ${data.frameId}\n`;
+        }
+        
         if (data.dimensions) {
           responseText += `**Dimensions:** ${data.dimensions.width}x${data.dimensions.height}px\n`;
         }
@@ -0,0 +1,314 @@
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { BrowserInterface } from '../types/browser-interface.js';
+
+const ListTabsSchema = z.object({
+  windowId: z.number().optional().describe('Only list tabs in this window'),
+  currentWindow: z.boolean().default(false).optional().describe('Only list tabs in the current window (default: false)'),
+  urlContains: z.string().optional().describe('Only list tabs whose URL contains this substring')
+});
+
+const OpenTabSchema = z.object({
+  url: z.string().url().optional().describe('URL to open (new tab page if not specified)'),
+  active: z.boolean().default(true).optional().describe('Make the new tab the active tab (default: true)'),
+  windowId: z.number().optional().describe('Window to open the tab in (current window if not specified)'),
+  newWindow: z.boolean().default(false).optional().describe('Open the tab in a new window (default: false)'),
+  waitForLoad: z.boolean().default(true).optional().describe('Wait for the page to finish loading (default: true)'),
+  timeout: z.number().min(1000).max(60000).default(15000).optional().describe('Load timeout in milliseconds (default: 15000)')
+});
+
+const CloseTabSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to close (current active tab if not specified)'),
+  tabIds: z.array(z.number()).optional().describe('Several tab IDs to close at once')
+});
+
+const ActivateTabSchema = z.object({
+  tabId: z.number().describe('Tab ID to activate'),
+  focusWindow: z.boolean().default(true).optional().describe('Also focus the window containing the tab (default: true)')
+});
+
+const DuplicateTabSchema = z.object({
+  tabId: z.number().optional().describe('Tab ID to duplicate (current active tab if not specified)'),
+  waitForLoad: z.boolean().default(true).optional().describe('Wait for the duplicate to finish loading (default: true)'),
+  timeout: z.number().min(1000).max(60000).default(15000).optional().describe('Load timeout in milliseconds (default: 15000)')
+});
+
+export class BrowserTabsTool {
+  private bridge: BrowserInterface;
+
+  constructor(bridge: BrowserInterface) {
+    this.bridge = bridge;
+  }
+
+  getListTabsSchema() {
+    return {
+      name: 'list_tabs',
+      description: 'List open browser tabs with their ID, title, URL, window, and audible/discarded state. Use this to find the tab ID to pass to other tools when a page opens in a new tab.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          windowId: {
+            type: 'number',
+            description: 'Only list tabs in this window',
+            optional: true
+          },
+          currentWindow: {
+            type: 'boolean',
+            description: 'Only list tabs in the current window (default: false)',
+            default: false,
+            optional: true
+          },
+          urlContains: {
+            type: 'string',
+            description: 'Only list tabs whose URL contains this substring',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getOpenTabSchema() {
+    return {
+      name: 'open_tab',
+      description: 'Open a new browser tab, optionally in a new window, and return its tab ID',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            format: 'uri',
+            description: 'URL to open (opens the new tab page if not specified)',
+            optional: true
+          },
+          active: {
+            type: 'boolean',
+            description: 'Make the new tab the active tab (default: true)',
+            default: true,
+            optional: true
+          },
+          windowId: {
+            type: 'number',
+            description: 'Window to open the tab in (uses current window if not specified)',
+            optional: true
+          },
+          newWindow: {
+            type: 'boolean',
+            description: 'Open the tab in a new window (default: false)',
+            default: false,
+            optional: true
+          },
+          waitForLoad: {
+            type: 'boolean',
+            description: 'Wait for the page to finish loading before returning (default: true)',
+            default: true,
+            optional: true
+          },
+          timeout: {
+            type: 'number',
+            description: 'Load timeout in milliseconds (default: 15000, max: 60000)',
+            minimum: 1000,
+            maximum: 60000,
+            default: 15000,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getCloseTabSchema() {
+    return {
+      name: 'close_tab',
+      description: 'Close one or more browser tabs',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to close (uses current active tab if neither tabId nor tabIds is specified)',
+            optional: true
+          },
+          tabIds: {
+            type: 'array',
+            items: { type: 'number' },
+            description: 'Several tab IDs to close at once',
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  getActivateTabSchema() {
+    return {
+      name: 'activate_tab',
+      description: 'Switch to a browser tab, making it the active tab used by tools called without a tabId',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to activate'
+          },
+          focusWindow: {
+            type: 'boolean',
+            description: 'Also focus the window containing the tab (default: true)',
+            default: true,
+            optional: true
+          }
+        },
+        required: ['tabId']
+      }
+    };
+  }
+
+  getDuplicateTabSchema() {
+    return {
+      name: 'duplicate_tab',
+      description: 'Duplicate a browser tab, including its history, and return the new tab ID',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tabId: {
+            type: 'number',
+            description: 'Tab ID to duplicate (uses current active tab if not specified)',
+            optional: true
+          },
+          waitForLoad: {
+            type: 'boolean',
+            description: 'Wait for the duplicate to finish loading before returning (default: true)',
+            default: true,
+            optional: true
+          },
+          timeout: {
+            type: 'number',
+            description: 'Load timeout in milliseconds (default: 15000, max: 60000)',
+            minimum: 1000,
+            maximum: 60000,
+            default: 15000,
+            optional: true
+          }
+        }
+      }
+    };
+  }
+
+  async executeListTabs(args: unknown): Promise<CallToolResult> {
+    return this.runTabCommand('list_tabs', ListTabsSchema, args, 'list tabs', (data) => {
+      let responseText = `**Browser Tabs** (${data.tabs.length})\n\n`;
+
+      if (data.tabs.length === 0) {
+        responseText += `*No tabs found*`;
+      }
+
+      data.tabs.forEach((tab: any) => {
+        responseText += this.formatTab(tab, tab.tabId === data.activeTabId) + '\n';
+      });
+
+      return responseText;
+    });
+  }
+
+  async executeOpenTab(args: unknown): Promise<CallToolResult> {
+    return this.runTabCommand('open_tab', OpenTabSchema, args, 'open tab', (tab) => {
+      let responseText = `✅ **Tab Opened**\n\n`;
+      responseText += this.formatTab(tab, tab.active);
+      if (tab.loaded === false) {
+        responseText += `\n⚠️ Page did not finish loading within the timeout`;
+      }
+      return responseText;
+    });
+  }
+
+  async executeCloseTab(args: unknown): Promise<CallToolResult> {
+    return this.runTabCommand('close_tab', CloseTabSchema, args, 'close tab', (data) => {
+      let responseText = `✅ **Closed ${data.closedTabs.length} tab${data.closedTabs.length === 1 ? '' : 's'}**\n\n`;
+
+      data.closedTabs.forEach((tab: any) => {
+        responseText += `• [${tab.tabId}] ${tab.title || '(untitled)'} - ${tab.url}\n`;
+      });
+
+      if (data.activeTabId) {
+        responseText += `\n**Active Tab Now:** ${data.activeTabId}`;
+      }
+
+      return responseText;
+    });
+  }
+
+  async executeActivateTab(args: unknown): Promise<CallToolResult> {
+    return this.runTabCommand('activate_tab', ActivateTabSchema, args, 'activate tab', (tab) => {
+      return `✅ **Tab Activated**\n\n` + this.formatTab(tab, true);
+    });
+  }
+
+  async executeDuplicateTab(args: unknown): Promise<CallToolResult> {
+    return this.runTabCommand('duplicate_tab', DuplicateTabSchema, args, 'duplicate tab', (tab) => {
+      let responseText = `✅ **Tab ${tab.sourceTabId} Duplicated**\n\n`;
+      responseText += this.formatTab(tab, tab.active);
+      if (tab.loaded === false) {
+        responseText += `\n⚠️ Page did not finish loading within the timeout`;
+      }
+      return responseText;
+    });
+  }
+
+  private async runTabCommand(
+    command: string,
+    schema: z.ZodTypeAny,
+    args: unknown,
+    action: string,
+    format: (data: any) => string
+  ): Promise<CallToolResult> {
+    try {
+      const params = schema.parse(args || {});
+
+      const isConnected = await this.bridge.isConnected();
+      if (!isConnected) {
+        return {
+          content: [{ type: 'text', text: 'Chrome extension is not connected. Please ensure the Enhanced Browser MCP extension is installed and running.' }],
+          isError: true,
+        };
+      }
+
+      // Leave room for the extension's own load timeout
+      const timeout = params.timeout !== undefined ? params.timeout + 5000 : undefined;
+      const result = await this.bridge.sendCommand(command, params, timeout);
+
+      if (result.success) {
+        return {
+          content: [{ type: 'text', text: format(result.data) }],
+        };
+      } else {
+        return {
+          content: [{ type: 'text', text: `Failed to ${action}: ${result.error || 'Unknown error'}` }],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error instanceof Error ? error.message : String(error)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private formatTab(tab: any, isActive: boolean): string {
+    const flags = [
+      isActive ? 'active' : null,
+      tab.pinned ? 'pinned' : null,
+      tab.audible ? (tab.muted ? 'audible (muted)' : 'audible') : null,
+      tab.discarded ? 'discarded' : null,
+      tab.status === 'loading' ? 'loading' : null
+    ].filter(Boolean);
+
+    let text = `**[${tab.tabId}] ${tab.title || '(untitled)'}**${flags.length > 0 ? ` _(${flags.join(', ')})_` : ''}\n`;
+    text += `• **URL:** ${tab.url || '(none)'}\n`;
+    text += `• **Window:** ${tab.windowId} (position ${tab.index})\n`;
+    if (tab.openerTabId) {
+      text += `• **Opened From Tab:** ${tab.openerTabId}\n`;
+    }
+    return text;
+  }
+}
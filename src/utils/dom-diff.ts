@@ -0,0 +1,293 @@
+/**
+ * Structural diff of DOM trees captured by get_dom_snapshot
+ *
+ * Children are aligned with a weighted LCS: identical subtrees match first, then
+ * elements with the same tag and id, so an inserted list item is reported as one
+ * addition rather than a text change on every following item.
+ */
+
+// Compact tree produced by the extension's page extractor; text nodes are plain strings
+export type DomTreeNode = DomElementNode | string;
+
+export interface DomElementNode {
+  tag: string;
+  attrs?: Record<string, string>;
+  children?: DomTreeNode[];
+}
+
+export interface DomChange {
+  type: 'added' | 'removed' | 'attribute' | 'text';
+  path: string;
+  node?: string;
+  attribute?: string;
+  oldValue?: string | null;
+  newValue?: string | null;
+}
+
+export interface DomDiff {
+  changes: DomChange[];
+  counts: Record<DomChange['type'], number>;
+  truncated: boolean;
+}
+
+export interface DomDiffOptions {
+  ignoreAttributes?: string[];
+  maxChanges?: number;
+}
+
+const SHADOW_ROOT_TAG = '#shadow-root';
+const PREVIEW_LENGTH = 150;
+// Larger child lists are paired by position instead of by LCS
+const MAX_ALIGNMENT_CELLS = 250000;
+
+interface DiffContext {
+  ignoredAttributes: Set<string>;
+  maxChanges: number;
+  hashes: WeakMap<DomElementNode, number>;
+  result: DomDiff;
+}
+
+// 32-bit FNV-1a
+function hashString(value: string, seed = 0x811c9dc5): number {
+  let hash = seed;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function hashNode(node: DomTreeNode, context: DiffContext): number {
+  if (typeof node === 'string') {
+    return hashString(node, 0x1234567);
+  }
+
+  const cached = context.hashes.get(node);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  let hash = hashString(node.tag);
+  for (const [name, value] of Object.entries(node.attrs || {}).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!context.ignoredAttributes.has(name)) {
+      hash = hashString(`${name}=${value}`, hash);
+    }
+  }
+  for (const child of node.children || []) {
+    hash = hashString(String(hashNode(child, context)), hash);
+  }
+
+  context.hashes.set(node, hash);
+  return hash;
+}
+
+function nodeKey(node: DomTreeNode): string {
+  if (typeof node === 'string') {
+    return '#text';
+  }
+  return node.attrs?.id ? `${node.tag}#${node.attrs.id}` : node.tag;
+}
+
+/**
+ * Pair up old and new children. Returns [oldIndex, newIndex] pairs in document order,
+ * with null on the side where a child was added or removed.
+ */
+function alignChildren(before: DomTreeNode[], after: DomTreeNode[], context: DiffContext): Array<[number | null, number | null]> {
+  const rows = before.length;
+  const columns = after.length;
+
+  if (rows * columns > MAX_ALIGNMENT_CELLS) {
+    const pairs: Array<[number | null, number | null]> = [];
+    for (let i = 0; i < Math.max(rows, columns); i++) {
+      pairs.push([i < rows ? i : null, i < columns ? i : null]);
+    }
+    return pairs;
+  }
+
+  const score = (i: number, j: number): number => {
+    if (nodeKey(before[i]) !== nodeKey(after[j])) {
+      return 0;
+    }
+    return hashNode(before[i], context) === hashNode(after[j], context) ? 2 : 1;
+  };
+
+  const width = columns + 1;
+  const table = new Int32Array((rows + 1) * width);
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= columns; j++) {
+      const match = score(i - 1, j - 1);
+      table[i * width + j] = Math.max(
+        table[(i - 1) * width + j],
+        table[i * width + j - 1],
+        match > 0 ? table[(i - 1) * width + j - 1] + match : 0
+      );
+    }
+  }
+
+  const pairs: Array<[number | null, number | null]> = [];
+  let i = rows;
+  let j = columns;
+  while (i > 0 || j > 0) {
+    const match = i > 0 && j > 0 ? score(i - 1, j - 1) : 0;
+    if (match > 0 && table[i * width + j] === table[(i - 1) * width + j - 1] + match) {
+      pairs.push([i - 1, j - 1]);
+      i--;
+      j--;
+    } else if (j > 0 && (i === 0 || table[i * width + j - 1] >= table[(i - 1) * width + j])) {
+      pairs.push([null, j - 1]);
+      j--;
+    } else {
+      pairs.push([i - 1, null]);
+      i--;
+    }
+  }
+
+  return pairs.reverse();
+}
+
+function escapeSelectorPart(value: string): string {
+  return value.replace(/[^\w-]/g, character => `\\${character}`);
+}
+
+function elementLabel(node: DomElementNode): string {
+  if (node.attrs?.id) {
+    return `${node.tag}#${escapeSelectorPart(node.attrs.id)}`;
+  }
+  const classes = (node.attrs?.class || '').split(/\s+/).filter(Boolean).slice(0, 2);
+  return node.tag + classes.map(name => `.${escapeSelectorPart(name)}`).join('');
+}
+
+/**
+ * CSS-style path of a child, adding :nth-child() only when siblings share the same label.
+ * Children of a shadow root are joined with >>> so the path works as a selector.
+ */
+function childPath(parentPath: string, parent: DomElementNode, siblings: DomTreeNode[], index: number): string {
+  const node = siblings[index];
+  if (typeof node === 'string') {
+    return parentPath;
+  }
+  if (node.tag === SHADOW_ROOT_TAG) {
+    return `${parentPath} >>>`;
+  }
+
+  const label = elementLabel(node);
+  const elementSiblings = siblings.filter((sibling): sibling is DomElementNode => typeof sibling !== 'string' && sibling.tag !== SHADOW_ROOT_TAG);
+  const needsPosition = !node.attrs?.id && elementSiblings.filter(sibling => elementLabel(sibling) === label).length > 1;
+  const segment = needsPosition ? `${label}:nth-child(${elementSiblings.indexOf(node) + 1})` : label;
+
+  if (!parentPath) {
+    return segment;
+  }
+  return parent.tag === SHADOW_ROOT_TAG ? `${parentPath} ${segment}` : `${parentPath} > ${segment}`;
+}
+
+function textContent(node: DomTreeNode): string {
+  if (typeof node === 'string') {
+    return node;
+  }
+  return (node.children || []).map(textContent).filter(Boolean).join(' ');
+}
+
+function truncate(value: string, length: number): string {
+  return value.length > length ? value.substring(0, length) + '…' : value;
+}
+
+// Short HTML-like preview of an added or removed node
+export function previewNode(node: DomTreeNode): string {
+  if (typeof node === 'string') {
+    return JSON.stringify(truncate(node, PREVIEW_LENGTH));
+  }
+
+  const attributes = Object.entries(node.attrs || {})
+    .filter(([name]) => !name.startsWith(':'))
+    .map(([name, value]) => ` ${name}="${truncate(value, 40)}"`)
+    .join('');
+  const text = textContent(node);
+  return truncate(`<${node.tag}${attributes}>${text ? truncate(text, 80) : ''}</${node.tag}>`, PREVIEW_LENGTH);
+}
+
+function record(change: DomChange, context: DiffContext): void {
+  context.result.counts[change.type]++;
+  if (context.result.changes.length < context.maxChanges) {
+    context.result.changes.push(change);
+  } else {
+    context.result.truncated = true;
+  }
+}
+
+function diffAttributes(before: DomElementNode, after: DomElementNode, path: string, context: DiffContext): void {
+  const oldAttributes = before.attrs || {};
+  const newAttributes = after.attrs || {};
+  const names = new Set([...Object.keys(oldAttributes), ...Object.keys(newAttributes)]);
+
+  for (const name of names) {
+    if (context.ignoredAttributes.has(name) || oldAttributes[name] === newAttributes[name]) {
+      continue;
+    }
+    record({
+      type: 'attribute',
+      path,
+      attribute: name,
+      oldValue: oldAttributes[name] ?? null,
+      newValue: newAttributes[name] ?? null
+    }, context);
+  }
+}
+
+function diffElements(before: DomElementNode, after: DomElementNode, path: string, context: DiffContext): void {
+  if (hashNode(before, context) === hashNode(after, context)) {
+    return;
+  }
+
+  diffAttributes(before, after, path, context);
+
+  const oldChildren = before.children || [];
+  const newChildren = after.children || [];
+
+  for (const [oldIndex, newIndex] of alignChildren(oldChildren, newChildren, context)) {
+    if (oldIndex === null) {
+      const node = newChildren[newIndex!];
+      record({ type: 'added', path: childPath(path, after, newChildren, newIndex!), node: previewNode(node) }, context);
+    } else if (newIndex === null) {
+      const node = oldChildren[oldIndex];
+      record({ type: 'removed', path: childPath(path, before, oldChildren, oldIndex), node: previewNode(node) }, context);
+    } else {
+      const oldChild = oldChildren[oldIndex];
+      const newChild = newChildren[newIndex];
+      if (typeof oldChild === 'string' || typeof newChild === 'string') {
+        if (oldChild !== newChild) {
+          record({ type: 'text', path, oldValue: textContent(oldChild), newValue: textContent(newChild) }, context);
+        }
+      } else {
+        diffElements(oldChild, newChild, childPath(path, after, newChildren, newIndex), context);
+      }
+    }
+  }
+}
+
+/**
+ * Compare two captured DOM trees and list added and removed nodes, attribute changes
+ * and text changes. Paths are CSS-style selectors into the newer tree (the older tree
+ * for removals). Counts cover every change even when the list is capped by maxChanges.
+ */
+export function diffDomTrees(before: DomElementNode, after: DomElementNode, options: DomDiffOptions = {}): DomDiff {
+  const context: DiffContext = {
+    ignoredAttributes: new Set(options.ignoreAttributes || []),
+    maxChanges: options.maxChanges ?? 100,
+    hashes: new WeakMap(),
+    result: {
+      changes: [],
+      counts: { added: 0, removed: 0, attribute: 0, text: 0 },
+      truncated: false
+    }
+  };
+
+  if (before.tag !== after.tag) {
+    record({ type: 'removed', path: elementLabel(before), node: previewNode(before) }, context);
+    record({ type: 'added', path: elementLabel(after), node: previewNode(after) }, context);
+  } else {
+    diffElements(before, after, elementLabel(after), context);
+  }
+
+  return context.result;
+}
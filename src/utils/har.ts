@@ -0,0 +1,341 @@
+/**
+ * HAR 1.2 serialisation of network requests captured by the extension
+ *
+ * Spec: http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+// Captured request as returned by the extension's export_network_log command
+export interface CapturedRequest {
+  id: string;
+  tabId: number;
+  method: string;
+  url: string;
+  status?: number;
+  statusText?: string;
+  requestHeaders?: Record<string, string>;
+  responseHeaders?: Record<string, string>;
+  requestBody?: string;
+  mimeType?: string;
+  protocol?: string;
+  remoteIPAddress?: string;
+  responseSize?: number;
+  resourceTiming?: Record<string, number>;
+  timing?: {
+    startTime: number;
+    duration?: number;
+  };
+  timestamp: number;
+  type: string;
+  responseContent?: {
+    text: string;
+    base64Encoded: boolean;
+  };
+  responseContentOmitted?: string;
+}
+
+export interface NetworkLog {
+  tabId: number;
+  url: string;
+  title: string;
+  requests: CapturedRequest[];
+}
+
+interface HarNameValue {
+  name: string;
+  value: string;
+}
+
+interface HarCookie extends HarNameValue {
+  path?: string;
+  domain?: string;
+  expires?: string;
+  httpOnly?: boolean;
+  secure?: boolean;
+  sameSite?: string;
+}
+
+interface HarTimings {
+  blocked: number;
+  dns: number;
+  connect: number;
+  send: number;
+  wait: number;
+  receive: number;
+  ssl: number;
+}
+
+export interface HarEntry {
+  pageref: string;
+  startedDateTime: string;
+  time: number;
+  request: {
+    method: string;
+    url: string;
+    httpVersion: string;
+    cookies: HarCookie[];
+    headers: HarNameValue[];
+    queryString: HarNameValue[];
+    postData?: { mimeType: string; text: string };
+    headersSize: number;
+    bodySize: number;
+  };
+  response: {
+    status: number;
+    statusText: string;
+    httpVersion: string;
+    cookies: HarCookie[];
+    headers: HarNameValue[];
+    content: { size: number; mimeType: string; text?: string; encoding?: string; comment?: string };
+    redirectURL: string;
+    headersSize: number;
+    bodySize: number;
+  };
+  cache: Record<string, never>;
+  timings: HarTimings;
+  serverIPAddress?: string;
+  _resourceType?: string;
+}
+
+export interface Har {
+  log: {
+    version: '1.2';
+    creator: { name: string; version: string };
+    pages: Array<{
+      startedDateTime: string;
+      id: string;
+      title: string;
+      pageTimings: { onContentLoad: number; onLoad: number };
+    }>;
+    entries: HarEntry[];
+  };
+}
+
+const HAR_CREATOR = { name: 'browser-pilot', version: '1.0.0' };
+const PAGE_ID = 'page_1';
+
+function toNameValueList(headers: Record<string, string> | undefined): HarNameValue[] {
+  const list: HarNameValue[] = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    // CDP joins repeated headers (e.g. Set-Cookie) with newlines
+    for (const line of String(value).split('\n')) {
+      list.push({ name, value: line });
+    }
+  }
+  return list;
+}
+
+function findHeader(headers: Record<string, string> | undefined, name: string): string | undefined {
+  const match = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name);
+  return match?.[1];
+}
+
+function parseRequestCookies(headers: Record<string, string> | undefined): HarCookie[] {
+  const cookieHeader = findHeader(headers, 'cookie');
+  if (!cookieHeader) {
+    return [];
+  }
+
+  return cookieHeader.split(';')
+    .map(pair => pair.trim())
+    .filter(pair => pair.length > 0)
+    .map(pair => {
+      const separator = pair.indexOf('=');
+      return separator === -1
+        ? { name: pair, value: '' }
+        : { name: pair.substring(0, separator), value: pair.substring(separator + 1) };
+    });
+}
+
+function parseResponseCookies(headers: Record<string, string> | undefined): HarCookie[] {
+  const setCookieHeader = findHeader(headers, 'set-cookie');
+  if (!setCookieHeader) {
+    return [];
+  }
+
+  return setCookieHeader.split('\n').filter(line => line.trim().length > 0).map(line => {
+    const [pair, ...attributes] = line.split(';').map(part => part.trim());
+    const separator = pair.indexOf('=');
+    const cookie: HarCookie = separator === -1
+      ? { name: pair, value: '' }
+      : { name: pair.substring(0, separator), value: pair.substring(separator + 1) };
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=');
+      switch (key.toLowerCase()) {
+        case 'path':
+          cookie.path = value;
+          break;
+        case 'domain':
+          cookie.domain = value;
+          break;
+        case 'expires': {
+          const expires = new Date(value);
+          if (!isNaN(expires.getTime())) {
+            cookie.expires = expires.toISOString();
+          }
+          break;
+        }
+        case 'httponly':
+          cookie.httpOnly = true;
+          break;
+        case 'secure':
+          cookie.secure = true;
+          break;
+        case 'samesite':
+          cookie.sameSite = value;
+          break;
+      }
+    }
+
+    return cookie;
+  });
+}
+
+function parseQueryString(url: string): HarNameValue[] {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function toHttpVersion(protocol: string | undefined): string {
+  switch ((protocol || '').toLowerCase()) {
+    case 'h2':
+      return 'HTTP/2.0';
+    case 'h3':
+    case 'h3-29':
+    case 'quic':
+      return 'HTTP/3';
+    case 'http/1.0':
+      return 'HTTP/1.0';
+    case 'http/1.1':
+      return 'HTTP/1.1';
+    default:
+      return protocol || 'HTTP/1.1';
+  }
+}
+
+/**
+ * Convert CDP ResourceTiming (milliseconds relative to requestTime) into HAR timings.
+ * Optional phases that did not happen are reported as -1 as the spec requires.
+ */
+function buildTimings(request: CapturedRequest): HarTimings {
+  const duration = Math.max(request.timing?.duration ?? 0, 0);
+  const timing = request.resourceTiming;
+
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait: duration, receive: 0, ssl: -1 };
+  }
+
+  const phase = (start: number, end: number) => (start >= 0 && end >= start ? end - start : -1);
+  const firstPhaseStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+
+  const send = Math.max(timing.sendEnd - timing.sendStart, 0);
+  const wait = Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0);
+
+  return {
+    blocked: firstPhaseStart !== undefined ? firstPhaseStart : -1,
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    send,
+    wait,
+    receive: Math.max(duration - timing.receiveHeadersEnd, 0),
+    ssl: phase(timing.sslStart, timing.sslEnd)
+  };
+}
+
+function buildEntry(request: CapturedRequest): HarEntry {
+  const timings = buildTimings(request);
+  // ssl is already included in connect, so it is left out of the total
+  const time = [timings.blocked, timings.dns, timings.connect, timings.send, timings.wait, timings.receive]
+    .filter(value => value > 0)
+    .reduce((total, value) => total + value, 0);
+
+  const httpVersion = toHttpVersion(request.protocol);
+  const responseMimeType = request.mimeType || findHeader(request.responseHeaders, 'content-type') || 'x-unknown';
+
+  const content: HarEntry['response']['content'] = {
+    size: request.responseSize ?? 0,
+    mimeType: responseMimeType
+  };
+  if (request.responseContent) {
+    content.text = request.responseContent.text;
+    if (request.responseContent.base64Encoded) {
+      content.encoding = 'base64';
+      content.size = Buffer.from(request.responseContent.text, 'base64').length;
+    } else {
+      content.size = Buffer.byteLength(request.responseContent.text);
+    }
+  } else if (request.responseContentOmitted) {
+    content.comment = `Body not included: ${request.responseContentOmitted}`;
+  }
+
+  const entry: HarEntry = {
+    pageref: PAGE_ID,
+    startedDateTime: new Date(request.timestamp).toISOString(),
+    time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion,
+      cookies: parseRequestCookies(request.requestHeaders),
+      headers: toNameValueList(request.requestHeaders),
+      queryString: parseQueryString(request.url),
+      headersSize: -1,
+      bodySize: request.requestBody !== undefined ? Buffer.byteLength(request.requestBody) : 0
+    },
+    response: {
+      status: request.status ?? 0,
+      statusText: request.statusText ?? '',
+      httpVersion,
+      cookies: parseResponseCookies(request.responseHeaders),
+      headers: toNameValueList(request.responseHeaders),
+      content,
+      redirectURL: findHeader(request.responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: request.responseSize ?? -1
+    },
+    cache: {},
+    timings,
+    _resourceType: request.type
+  };
+
+  if (request.requestBody !== undefined) {
+    entry.request.postData = {
+      mimeType: findHeader(request.requestHeaders, 'content-type') || 'application/octet-stream',
+      text: request.requestBody
+    };
+  }
+
+  if (request.remoteIPAddress) {
+    entry.serverIPAddress = request.remoteIPAddress.replace(/^\[|\]$/g, '');
+  }
+
+  return entry;
+}
+
+/**
+ * Build a HAR 1.2 document from a tab's captured network log
+ */
+export function buildHar(networkLog: NetworkLog): Har {
+  const entries = networkLog.requests.map(buildEntry);
+  const startedDateTime = entries.length > 0 ? entries[0].startedDateTime : new Date().toISOString();
+
+  return {
+    log: {
+      version: '1.2',
+      creator: HAR_CREATOR,
+      pages: [
+        {
+          startedDateTime,
+          id: PAGE_ID,
+          title: networkLog.title || networkLog.url,
+          pageTimings: { onContentLoad: -1, onLoad: -1 }
+        }
+      ],
+      entries
+    }
+  };
+}